@@ -0,0 +1,89 @@
+// Position report simulator for the /api/unit-feed WebSocket (npm run dev must be running).
+//
+//   node scripts/unit-feed-sim.mjs                      random walk of every unit
+//   node scripts/unit-feed-sim.mjs --replay reports.json [--speed 10]
+//
+// Options:
+//   --url ws://localhost:5173/api/unit-feed
+//   --interval 2      seconds between random-walk rounds
+//   --step 30         metres moved per unit per round (random heading)
+//   --drop 0          fraction of units that go silent after their first report (0.1 to test staleness)
+//   --replay file     JSON array of { force?, id, lat, lon, alt?, time }, sent in time order (stamped with the send time)
+//   --speed 1         replay speed-up factor
+
+import fs from "fs";
+import path from "path";
+import { WebSocket } from "ws";
+
+function parseArgs(argv) {
+  const opts = { url: "ws://localhost:5173/api/unit-feed", interval: 2, step: 30, drop: 0, replay: null, speed: 1 };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, "");
+    if (!(key in opts)) throw new Error(`Unknown option: ${argv[i]}`);
+    const value = argv[++i];
+    opts[key] = typeof opts[key] === "number" ? Number(value) : value;
+  }
+  return opts;
+}
+
+function loadForces() {
+  const listPath = path.resolve("data/forces.json");
+  if (!fs.existsSync(listPath)) return [{ id: "blue", file: "/data/military-units.json" }];
+  return JSON.parse(fs.readFileSync(listPath, "utf-8"));
+}
+
+function collectUnits(node, force, out) {
+  for (const n of [node, node.commander, ...(node.staff ?? [])]) {
+    if (!n) continue;
+    const p = n.position ?? n.track?.[0];
+    if (!p) continue; // no location to start walking from
+    out.push({ force: force.id, id: n.id, lat: p.lat, lon: p.lon, alt: p.alt });
+  }
+  for (const child of node.children ?? []) collectUnits(child, force, out);
+  return out;
+}
+
+function randomWalk(ws, opts) {
+  const units = loadForces().flatMap((force) => {
+    const tree = JSON.parse(fs.readFileSync(path.resolve(force.file.replace(/^\//, "")), "utf-8"));
+    return collectUnits(tree, force, []);
+  });
+  for (const u of units) u.silent = Math.random() < opts.drop;
+  console.log(`Random walk: ${units.length} units, ${units.filter(u => u.silent).length} will go silent`);
+
+  let round = 0;
+  setInterval(() => {
+    const reports = [];
+    for (const u of units) {
+      if (u.silent && round > 0) continue;
+      const heading = Math.random() * 2 * Math.PI;
+      u.lat += (opts.step * Math.cos(heading)) / 111320;
+      u.lon += (opts.step * Math.sin(heading)) / (111320 * Math.cos(u.lat * Math.PI / 180));
+      reports.push({ force: u.force, id: u.id, lat: u.lat, lon: u.lon, alt: u.alt, time: new Date().toISOString() });
+    }
+    ws.send(JSON.stringify(reports));
+    round++;
+  }, opts.interval * 1000);
+}
+
+function replay(ws, opts) {
+  const reports = JSON.parse(fs.readFileSync(path.resolve(opts.replay), "utf-8"))
+    .sort((a, b) => Date.parse(a.time) - Date.parse(b.time));
+  if (reports.length === 0) return ws.close();
+  const t0 = Date.parse(reports[0].time);
+  console.log(`Replaying ${reports.length} reports at ${opts.speed}x`);
+  for (const r of reports) {
+    // Sent as live reports: the map takes a report's time as its age
+    setTimeout(() => ws.send(JSON.stringify({ ...r, time: new Date().toISOString() })), (Date.parse(r.time) - t0) / opts.speed);
+  }
+  const duration = (Date.parse(reports[reports.length - 1].time) - t0) / opts.speed;
+  setTimeout(() => ws.close(), duration + 1000);
+}
+
+const opts = parseArgs(process.argv.slice(2));
+const ws = new WebSocket(opts.url);
+ws.on("open", () => (opts.replay ? replay(ws, opts) : randomWalk(ws, opts)));
+ws.on("error", (e) => {
+  console.error(`Feed connection failed: ${e.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,358 @@
+import { distToPath, pointInPolygon } from "./geometry.js";
+import { DEFAULT_MOBILITY, mobilityProfile, moveSeconds, peakSpeed } from "./mobility.js";
+
+// ---------------------------------------------------------------------------
+// A* path planner worker. One search per "plan" message:
+//   -> { type: "plan", bounds, stepMeters, start, end, corridor, mobility, areas, concealment }
+//   <- { type: "cells", lats, lons }        cells to sample (Float64Arrays)
+//   -> { type: "heights", heights }         terrain height per cell, NaN if none
+//   <- { type: "progress", phase, fraction } "sight" (lines of sight) or "search", 0..1 overall
+//   <- { type: "done", path, iterations, exposure }
+//                                           path: [{ lat, lon }] or null, exposure: see below
+// `mobility` names the profile (mobility.js) that gives the speed on each
+// grade; steps steeper than its grade or side-slope limit are not taken.
+// Terrain sampling needs Cesium and stays on the main thread (water comes back
+// as NaN heights, like cells without terrain). `areas` are cost polygons:
+// cells in a "nogo" area are left out, "avoid" multiplies the cost of moving
+// into a cell by the area's weight and "prefer" divides it. `concealment`
+// ({ observers: [{ lat, lon, alt }], weight, range, coarse? } or null)
+// multiplies the cost of a cell by 1 + weight for each observer with line of
+// sight to it. Lines of sight need the terrain around the route, which the
+// corridor of a fine pass does not have: a pass without a corridor returns
+// its exposure grid ({ minLat, minLon, stepLat, stepLon, rows, cols, seen }),
+// and a fine pass given it as `coarse` interpolates it instead of walking
+// its own sight lines. Cancelling terminates the worker.
+// ---------------------------------------------------------------------------
+
+const PROGRESS_EVERY = 5000; // iterations between progress messages
+const SIGHT_PROGRESS_EVERY = 2000; // sight lines between progress messages
+const OBSERVER_EYE_M = 2; // eye height above the ground of an observer
+const TARGET_HEIGHT_M = 1.8; // height of a walker that must stay out of sight
+// Without observers: cost of each metre above the start height, in seconds at
+// dismounted speed (scaled to the profile so faster movers are held as low)
+const SKYLINE_SECONDS_PER_M = 10;
+
+let grid = null; // geometry of the current plan, waiting for heights
+
+// Cost factor of the cell at lat/lon: 0 when impassable, else the product of
+// the area weights (divided for preferred areas)
+function areaFactor(lat, lon, areas) {
+  let factor = 1;
+  for (const a of areas) {
+    if (lat < a.minLat || lat > a.maxLat || lon < a.minLon || lon > a.maxLon) continue;
+    if (!pointInPolygon(lat, lon, a.points)) continue;
+    if (a.kind === "nogo") return 0;
+    factor = a.kind === "prefer" ? factor / a.weight : factor * a.weight;
+  }
+  return factor;
+}
+
+function buildGrid({ bounds, stepMeters, start, end, corridor, mobility, areas = [], concealment = null }) {
+  const { minLat, maxLat, minLon, maxLon } = bounds;
+  const stepLat = stepMeters / 111320;
+  const midLat = (minLat + maxLat) / 2;
+  const cosLat = Math.cos(midLat * Math.PI / 180);
+  const stepLon = stepMeters / (111320 * cosLat);
+  const rows = Math.ceil((maxLat - minLat) / stepLat) + 1;
+  const cols = Math.ceil((maxLon - minLon) / stepLon) + 1;
+
+  // Only cells within the corridor are sampled and searched
+  const latScale = 111320;
+  const lonScale = 111320 * cosLat;
+  const cells = [];
+  const boxed = areas.map(a => ({
+    ...a,
+    minLat: Math.min(...a.points.map(p => p.lat)),
+    maxLat: Math.max(...a.points.map(p => p.lat)),
+    minLon: Math.min(...a.points.map(p => p.lon)),
+    maxLon: Math.max(...a.points.map(p => p.lon)),
+  }));
+  const factors = boxed.length > 0 ? new Float64Array(rows * cols).fill(1) : null;
+  let minFactor = 1;
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      const lat = minLat + r * stepLat;
+      const lon = minLon + c * stepLon;
+      if (corridor && distToPath(lat, lon, corridor.path, latScale, lonScale) > corridor.radius) continue;
+      if (factors) {
+        const f = areaFactor(lat, lon, boxed);
+        if (f === 0) continue;
+        factors[r * cols + c] = f;
+        minFactor = Math.min(minFactor, f);
+      }
+      cells.push(r * cols + c);
+    }
+  }
+  console.log(`Grid: ${rows}x${cols}, sampling ${cells.length} points (${stepMeters}m)`);
+  return {
+    minLat, minLon, stepLat, stepLon, midLat, rows, cols, cells: Int32Array.from(cells), start, end, factors, minFactor,
+    profile: mobilityProfile(mobility), concealment,
+  };
+}
+
+// Number of observers that see each cell. Lines of sight are walked over the
+// sampled grid; cells without a height (outside the grid) do not block, so
+// the result errs towards seen. Progress runs from 0 to `share`.
+function exposure(g, elevation, share) {
+  const { minLat, minLon, stepLat, stepLon, midLat, rows, cols, cells } = g;
+  const { observers, range } = g.concealment;
+  const latM = stepLat * 111320;
+  const lonM = stepLon * 111320 * Math.cos(midLat * Math.PI / 180);
+  const seen = new Float32Array(rows * cols);
+  const total = observers.length * cells.length;
+  let done = 0;
+  const heightAt = (r, c) => (r < 0 || r >= rows || c < 0 || c >= cols ? NaN : elevation[r * cols + c]);
+
+  for (const o of observers) {
+    const orow = (o.lat - minLat) / stepLat;
+    const ocol = (o.lon - minLon) / stepLon;
+    // Observers out of range of the whole grid see nothing of it
+    const nearRow = Math.max(0, Math.min(rows - 1, orow)), nearCol = Math.max(0, Math.min(cols - 1, ocol));
+    if (Math.hypot((nearRow - orow) * latM, (nearCol - ocol) * lonM) > range) {
+      done += cells.length;
+      continue;
+    }
+    const ground = heightAt(Math.round(orow), Math.round(ocol));
+    const eye = (Number.isNaN(ground) ? o.alt : ground) + OBSERVER_EYE_M;
+
+    for (const cell of cells) {
+      if (++done % SIGHT_PROGRESS_EVERY === 0) {
+        postMessage({ type: "progress", phase: "sight", fraction: share * done / total });
+      }
+      const h = elevation[cell];
+      if (Number.isNaN(h)) continue;
+      const r = Math.floor(cell / cols), c = cell % cols;
+      if (Math.hypot((r - orow) * latM, (c - ocol) * lonM) > range) continue;
+      const target = h + TARGET_HEIGHT_M;
+      const steps = Math.ceil(Math.max(Math.abs(r - orow), Math.abs(c - ocol)));
+      let visible = true;
+      for (let s = 1; s < steps; s++) {
+        const t = s / steps;
+        const th = heightAt(Math.round(orow + (r - orow) * t), Math.round(ocol + (c - ocol) * t));
+        if (th > eye + (target - eye) * t) {
+          visible = false;
+          break;
+        }
+      }
+      if (visible) seen[cell]++;
+    }
+  }
+  return seen;
+}
+
+// Exposure of every cell bilinearly interpolated from a coarser grid
+function interpolateExposure(g, coarse) {
+  const { minLat, minLon, stepLat, stepLon, cols, cells } = g;
+  const seen = new Float32Array(g.rows * cols);
+  const at = (r, c) => coarse.seen[Math.max(0, Math.min(coarse.rows - 1, r)) * coarse.cols
+    + Math.max(0, Math.min(coarse.cols - 1, c))];
+  for (const cell of cells) {
+    const y = (minLat + Math.floor(cell / cols) * stepLat - coarse.minLat) / coarse.stepLat;
+    const x = (minLon + (cell % cols) * stepLon - coarse.minLon) / coarse.stepLon;
+    const r = Math.floor(y), c = Math.floor(x);
+    const fy = y - r, fx = x - c;
+    seen[cell] = (at(r, c) * (1 - fx) + at(r, c + 1) * fx) * (1 - fy)
+      + (at(r + 1, c) * (1 - fx) + at(r + 1, c + 1) * fx) * fy;
+  }
+  return seen;
+}
+
+// Binary heap of cell indices ordered by f
+function createHeap(capacity) {
+  let cells = new Int32Array(capacity);
+  let keys = new Float64Array(capacity);
+  let size = 0;
+  function swap(i, j) {
+    const c = cells[i]; cells[i] = cells[j]; cells[j] = c;
+    const k = keys[i]; keys[i] = keys[j]; keys[j] = k;
+  }
+  return {
+    get size() {
+      return size;
+    },
+    push(cell, key) {
+      if (size === cells.length) {
+        const grownCells = new Int32Array(size * 2);
+        grownCells.set(cells);
+        cells = grownCells;
+        const grownKeys = new Float64Array(size * 2);
+        grownKeys.set(keys);
+        keys = grownKeys;
+      }
+      cells[size] = cell;
+      keys[size] = key;
+      let i = size++;
+      while (i > 0) {
+        const p = (i - 1) >> 1;
+        if (keys[p] <= keys[i]) break;
+        swap(p, i);
+        i = p;
+      }
+    },
+    pop() {
+      const top = cells[0];
+      size--;
+      if (size > 0) {
+        cells[0] = cells[size];
+        keys[0] = keys[size];
+        let i = 0;
+        while (true) {
+          let s = i;
+          const l = 2 * i + 1, r = 2 * i + 2;
+          if (l < size && keys[l] < keys[s]) s = l;
+          if (r < size && keys[r] < keys[s]) s = r;
+          if (s === i) break;
+          swap(s, i);
+          i = s;
+        }
+      }
+      return top;
+    },
+  };
+}
+
+function search(g, heights) {
+  const { minLat, minLon, stepLat, stepLon, midLat, rows, cols, start, end, factors, minFactor, profile, concealment } = g;
+  const n = rows * cols;
+  const elevation = new Float64Array(n).fill(NaN);
+  g.cells.forEach((cell, i) => { elevation[cell] = heights[i]; });
+  // Without a coarse grid to draw on, the sight lines take the first half of the progress bar
+  const sightShare = concealment && !concealment.coarse ? 0.5 : 0;
+  const seen = !concealment ? null
+    : concealment.coarse ? interpolateExposure(g, concealment.coarse)
+    : exposure(g, elevation, sightShare);
+
+  const clamp = (v, max) => Math.max(0, Math.min(max - 1, v));
+  const sr = clamp(Math.round((start.lat - minLat) / stepLat), rows);
+  const sc = clamp(Math.round((start.lon - minLon) / stepLon), cols);
+  const er = clamp(Math.round((end.lat - minLat) / stepLat), rows);
+  const ec = clamp(Math.round((end.lon - minLon) / stepLon), cols);
+  console.log(`A* from [${sr},${sc}] to [${er},${ec}]...`);
+
+  const latDist = stepLat * 111320;
+  const lonDist = stepLon * 111320 * Math.cos(midLat * Math.PI / 180);
+  const diagDist = Math.sqrt(latDist * latDist + lonDist * lonDist);
+  // Preferred areas make moving cheaper than the profile's best; the heuristic must not overestimate
+  const maxSpeed = peakSpeed(profile) / minFactor;
+  const neighbors = [
+    [-1, 0, latDist], [1, 0, latDist],
+    [0, -1, lonDist], [0, 1, lonDist],
+    [-1, -1, diagDist], [-1, 1, diagDist],
+    [1, -1, diagDist], [1, 1, diagDist],
+  ];
+
+  function heuristic(r, c) {
+    const dr = (r - er) * latDist;
+    const dc = (c - ec) * lonDist;
+    return Math.sqrt(dr * dr + dc * dc) / maxSpeed;
+  }
+
+  const skylineCost = SKYLINE_SECONDS_PER_M * peakSpeed(mobilityProfile(DEFAULT_MOBILITY)) / peakSpeed(profile);
+  const startH = Number.isNaN(elevation[sr * cols + sc]) ? 0 : elevation[sr * cols + sc];
+
+  // Grade across the direction of travel at cell r, c (0 where unknown)
+  function sideGrade(r, c, dr, dc) {
+    const ar = r - dc, ac = c + dr, br = r + dc, bc = c - dr;
+    if (ar < 0 || ar >= rows || ac < 0 || ac >= cols || br < 0 || br >= rows || bc < 0 || bc >= cols) return 0;
+    const rise = elevation[ar * cols + ac] - elevation[br * cols + bc];
+    if (Number.isNaN(rise)) return 0;
+    return Math.abs(rise) / (2 * Math.hypot(dc * latDist, dr * lonDist));
+  }
+
+  function moveCost(dh, dist, neighborH, neighbor) {
+    let cost = moveSeconds(profile, dist, dh);
+    if (factors) cost *= factors[neighbor];
+    if (seen) {
+      cost *= 1 + concealment.weight * seen[neighbor];
+    } else {
+      // Without observers, keeping below the start height stands in for keeping off the skyline
+      const above = Math.max(0, neighborH - startH);
+      cost += above * skylineCost;
+    }
+    return cost;
+  }
+
+  const closed = new Uint8Array(n);
+  const cameFrom = new Int32Array(n).fill(-1);
+  const gScore = new Float64Array(n).fill(Infinity);
+  const heap = createHeap(1024);
+  const startCell = sr * cols + sc, endCell = er * cols + ec;
+  const h0 = heuristic(sr, sc) || 1;
+
+  gScore[startCell] = 0;
+  heap.push(startCell, heuristic(sr, sc));
+
+  let found = false;
+  let iterations = 0;
+  let progress = 0;
+
+  while (heap.size > 0) {
+    const ck = heap.pop();
+    if (closed[ck]) continue;
+    closed[ck] = 1;
+    if (ck === endCell) {
+      found = true;
+      break;
+    }
+
+    const r = Math.floor(ck / cols), c = ck % cols;
+    iterations++;
+    // Progress: how close the search frontier has come to the goal
+    progress = Math.max(progress, 1 - heuristic(r, c) / h0);
+    if (iterations % PROGRESS_EVERY === 0) {
+      postMessage({ type: "progress", phase: "search", fraction: sightShare + (1 - sightShare) * progress });
+    }
+
+    const currentH = elevation[ck];
+    if (Number.isNaN(currentH)) continue;
+
+    for (const [dr, dc, dist] of neighbors) {
+      const nr = r + dr, nc = c + dc;
+      if (nr < 0 || nr >= rows || nc < 0 || nc >= cols) continue;
+      const nk = nr * cols + nc;
+      if (closed[nk]) continue;
+      const nh = elevation[nk];
+      if (Number.isNaN(nh)) continue;
+
+      if (sideGrade(nr, nc, dr, dc) > profile.maxSideGrade) continue;
+      const step = moveCost(nh - currentH, dist, nh, nk);
+      if (step === Infinity) continue;
+      const tentG = gScore[ck] + step;
+      if (tentG < gScore[nk]) {
+        gScore[nk] = tentG;
+        cameFrom[nk] = ck;
+        heap.push(nk, tentG + heuristic(nr, nc));
+      }
+    }
+  }
+
+  const exposureGrid = seen && !concealment.coarse
+    ? { minLat, minLon, stepLat, stepLon, rows, cols, seen }
+    : null;
+  if (!found) return { path: null, iterations, exposure: exposureGrid };
+
+  const path = [];
+  for (let ck = endCell; ck !== -1; ck = cameFrom[ck]) {
+    const r = Math.floor(ck / cols), c = ck % cols;
+    path.unshift({ lat: minLat + r * stepLat, lon: minLon + c * stepLon });
+  }
+  console.log(`Path: ${path.length} points, ${iterations} iterations`);
+  return { path, iterations, exposure: exposureGrid };
+}
+
+self.onmessage = ({ data }) => {
+  if (data.type === "plan") {
+    grid = buildGrid(data);
+    const lats = new Float64Array(grid.cells.length);
+    const lons = new Float64Array(grid.cells.length);
+    grid.cells.forEach((cell, i) => {
+      lats[i] = grid.minLat + Math.floor(cell / grid.cols) * grid.stepLat;
+      lons[i] = grid.minLon + (cell % grid.cols) * grid.stepLon;
+    });
+    postMessage({ type: "cells", lats, lons }, [lats.buffer, lons.buffer]);
+  } else if (data.type === "heights" && grid) {
+    const { path, iterations, exposure } = search(grid, data.heights);
+    grid = null;
+    postMessage({ type: "done", path, iterations, exposure });
+  }
+};
@@ -1,90 +1,442 @@
 import * as Cesium from "cesium";
+import { recordAction } from "./history.js";
 
 // --- Symbol rendering ---
 
-const SYMBOL_SIZE = 64;
+export const SYMBOL_SIZE = 64;
+export const LABEL_OFFSET_Y = SYMBOL_SIZE / 2 + 4; // label sits just below the symbol
 const BLUE = "#2040FF";
 
-function drawMilitarySymbol(type) {
+// APP-6 standard identities: frame shape and colours
+const AFFILIATIONS = {
+  friend:  { frame: "rectangle",  stroke: BLUE,      fill: "rgba(30,60,255,0.6)",   icon: "#FFFFFF" },
+  hostile: { frame: "diamond",    stroke: "#FF3031", fill: "rgba(255,48,49,0.6)",   icon: "#FFFFFF" },
+  neutral: { frame: "square",     stroke: "#00A000", fill: "rgba(0,160,0,0.6)",     icon: "#FFFFFF" },
+  unknown: { frame: "quatrefoil", stroke: "#E0C000", fill: "rgba(255,255,128,0.6)", icon: "#000000" },
+};
+
+// Units whose live feed has gone quiet are drawn in grey
+const STALE_COLORS = { stroke: "#808080", fill: "rgba(128,128,128,0.5)", icon: "#D0D0D0" };
+const STALE_LINE_COLOR = Cesium.Color.fromCssColorString(STALE_COLORS.stroke);
+
+// Frame outlines, all centred on the canvas. `box` is the area function icons are drawn into.
+const FRAMES = {
+  rectangle: {
+    top: 20, bottom: 44, left: 10, right: 54,
+    box: { x: 10, y: 20, w: 44, h: 24 },
+    path(ctx) { ctx.rect(10, 20, 44, 24); },
+  },
+  diamond: {
+    top: 16, bottom: 48, left: 16, right: 48,
+    box: { x: 23, y: 26, w: 18, h: 12 },
+    path(ctx) {
+      ctx.moveTo(32, 16); ctx.lineTo(48, 32); ctx.lineTo(32, 48); ctx.lineTo(16, 32);
+      ctx.closePath();
+    },
+  },
+  square: {
+    top: 16, bottom: 48, left: 16, right: 48,
+    box: { x: 16, y: 16, w: 32, h: 32 },
+    path(ctx) { ctx.rect(16, 16, 32, 32); },
+  },
+  quatrefoil: {
+    top: 16, bottom: 48, left: 16, right: 48,
+    box: { x: 24, y: 26, w: 16, h: 12 },
+    path(ctx) {
+      // Outer arcs of four overlapping circles (top, right, bottom, left lobes)
+      ctx.arc(32, 24, 8, Math.PI, Math.PI * 2);
+      ctx.arc(40, 32, 8, -Math.PI / 2, Math.PI / 2);
+      ctx.arc(32, 40, 8, 0, Math.PI);
+      ctx.arc(24, 32, 8, Math.PI / 2, Math.PI * 1.5);
+      ctx.closePath();
+    },
+  },
+};
+
+// APP-6 function icons, drawn inside the frame's icon box
+const FUNCTION_ICONS = {
+  infantry(ctx, b) {
+    // X corner to corner
+    ctx.moveTo(b.x, b.y); ctx.lineTo(b.x + b.w, b.y + b.h);
+    ctx.moveTo(b.x + b.w, b.y); ctx.lineTo(b.x, b.y + b.h);
+  },
+  armour(ctx, b) {
+    // Track (ellipse)
+    ctx.ellipse(b.x + b.w / 2, b.y + b.h / 2, b.w * 0.3, b.h * 0.25, 0, 0, Math.PI * 2);
+  },
+  mechanized(ctx, b) {
+    FUNCTION_ICONS.infantry(ctx, b);
+    ctx.moveTo(b.x + b.w * 0.8, b.y + b.h / 2);
+    FUNCTION_ICONS.armour(ctx, b);
+  },
+  artillery(ctx, b) {
+    // Filled dot
+    ctx.arc(b.x + b.w / 2, b.y + b.h / 2, Math.min(b.w, b.h) * 0.14, 0, Math.PI * 2);
+  },
+  recon(ctx, b) {
+    // Single diagonal, lower left to upper right
+    ctx.moveTo(b.x, b.y + b.h); ctx.lineTo(b.x + b.w, b.y);
+  },
+  engineer(ctx, b) {
+    // Bridge: bar with three legs
+    const x0 = b.x + b.w * 0.25, x1 = b.x + b.w * 0.75, xm = b.x + b.w / 2;
+    const y0 = b.y + b.h * 0.35, y1 = b.y + b.h * 0.65;
+    ctx.moveTo(x0, y1); ctx.lineTo(x0, y0); ctx.lineTo(x1, y0); ctx.lineTo(x1, y1);
+    ctx.moveTo(xm, y0); ctx.lineTo(xm, y1);
+  },
+  logistics(ctx, b) {
+    // Supply: horizontal bar across the lower third
+    ctx.moveTo(b.x, b.y + b.h * 0.7); ctx.lineTo(b.x + b.w, b.y + b.h * 0.7);
+  },
+  medical(ctx, b) {
+    ctx.moveTo(b.x + b.w / 2, b.y); ctx.lineTo(b.x + b.w / 2, b.y + b.h);
+    ctx.moveTo(b.x, b.y + b.h / 2); ctx.lineTo(b.x + b.w, b.y + b.h / 2);
+  },
+  signal(ctx, b) {
+    // Lightning bolt
+    ctx.moveTo(b.x, b.y); ctx.lineTo(b.x + b.w * 0.45, b.y + b.h * 0.75);
+    ctx.lineTo(b.x + b.w * 0.55, b.y + b.h * 0.25); ctx.lineTo(b.x + b.w, b.y + b.h);
+  },
+  antitank(ctx, b) {
+    // Inverted V
+    ctx.moveTo(b.x, b.y + b.h); ctx.lineTo(b.x + b.w / 2, b.y); ctx.lineTo(b.x + b.w, b.y + b.h);
+  },
+};
+
+// Icons that are filled rather than stroked
+const FILLED_ICONS = new Set(["artillery"]);
+
+function affiliationOf(node) {
+  // Affiliation is inherited down the tree (staff inherit from their unit),
+  // falling back to the force's affiliation
+  for (let n = node; n; n = n.parent) {
+    if (AFFILIATIONS[n.affiliation]) return n.affiliation;
+  }
+  return AFFILIATIONS[node.force?.affiliation] ? node.force.affiliation : "friend";
+}
+
+function affiliationColor(node) {
+  return AFFILIATIONS[affiliationOf(node)].stroke;
+}
+
+function symbolIdentity(node) {
+  const mods = node.modifiers ?? {};
+  return {
+    type: node.type,
+    affiliation: affiliationOf(node),
+    fn: FUNCTION_ICONS[node.function] ? node.function : null,
+    status: node.status === "planned" ? "planned" : "present",
+    hq: !!mods.hq,
+    taskForce: !!mods.taskForce,
+    reinforced: !!mods.reinforced,
+    reduced: !!mods.reduced,
+    overlay: statusOverlay(node),
+    stale: !!(node.stale || node.commander?.stale),
+  };
+}
+
+// APP-6 echelon amplifiers, centred above the frame (ry = frame top)
+const ECHELON_MARKERS = {
+  none() {},
+  team(ctx, cx, ry) {
+    // Team/crew: circle with a slash
+    ctx.beginPath();
+    ctx.arc(cx, ry - 7, 5, 0, Math.PI * 2);
+    ctx.moveTo(cx - 7, ry - 1); ctx.lineTo(cx + 7, ry - 13);
+    ctx.stroke();
+  },
+  dots(ctx, cx, ry, count) {
+    // Squad •, section • •, platoon • • •
+    for (let i = 0; i < count; i++) {
+      ctx.beginPath();
+      ctx.arc(cx + (i - (count - 1) / 2) * 12, ry - 6, 3, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  },
+  bars(ctx, cx, ry, count) {
+    // Company |, battalion | |, regiment | | |
+    const spacing = count > 2 ? 8 : 10;
+    ctx.beginPath();
+    for (let i = 0; i < count; i++) {
+      const x = cx + (i - (count - 1) / 2) * spacing;
+      ctx.moveTo(x, ry - 2); ctx.lineTo(x, ry - 12);
+    }
+    ctx.stroke();
+  },
+  crosses(ctx, cx, ry, count) {
+    // Brigade X, division XX, corps XXX
+    ctx.beginPath();
+    for (let i = 0; i < count; i++) {
+      const x = cx + (i - (count - 1) / 2) * 10;
+      ctx.moveTo(x - 4, ry - 12); ctx.lineTo(x + 4, ry - 2);
+      ctx.moveTo(x + 4, ry - 12); ctx.lineTo(x - 4, ry - 2);
+    }
+    ctx.stroke();
+  },
+};
+
+function drawMilitarySymbol(id) {
   const canvas = document.createElement("canvas");
   canvas.width = SYMBOL_SIZE;
   canvas.height = SYMBOL_SIZE;
   const ctx = canvas.getContext("2d");
 
-  // Rectangle body
-  const rx = 10, ry = 20, rw = 44, rh = 24;
-  ctx.strokeStyle = BLUE;
-  ctx.fillStyle = "rgba(30,60,255,0.6)";
+  const { type } = id;
+  const aff = id.stale
+    ? { ...AFFILIATIONS[id.affiliation], ...STALE_COLORS }
+    : AFFILIATIONS[id.affiliation];
+  const frame = FRAMES[aff.frame];
+  const color = aff.stroke;
+
+  // Frame body (planned/anticipated = dashed outline)
+  ctx.strokeStyle = color;
+  ctx.fillStyle = aff.fill;
   ctx.lineWidth = 2;
-  ctx.fillRect(rx, ry, rw, rh);
-  ctx.strokeRect(rx, ry, rw, rh);
+  ctx.beginPath();
+  frame.path(ctx);
+  ctx.fill();
+  if (id.status === "planned") ctx.setLineDash([4, 3]);
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  // Function icon, clipped to the frame
+  if (id.fn) {
+    ctx.save();
+    ctx.beginPath();
+    frame.path(ctx);
+    ctx.clip();
+    ctx.strokeStyle = aff.icon;
+    ctx.fillStyle = aff.icon;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    FUNCTION_ICONS[id.fn](ctx, frame.box);
+    if (FILLED_ICONS.has(id.fn)) ctx.fill(); else ctx.stroke();
+    ctx.restore();
+  }
 
-  // Echelon marker above rectangle
+  // Echelon marker above frame
   const cx = SYMBOL_SIZE / 2;
-  ctx.fillStyle = BLUE;
-  ctx.strokeStyle = BLUE;
+  const ry = frame.top;
+  ctx.fillStyle = color;
+  ctx.strokeStyle = color;
   ctx.lineWidth = 2;
 
-  if (type === "individual") {
-    // APP-6A: no echelon marker (bare rectangle)
-  } else if (type === "squad") {
-    // APP-6A: single dot
-    const y = ry - 6;
-    ctx.beginPath();
-    ctx.arc(cx, y, 3, 0, Math.PI * 2);
-    ctx.fill();
-  } else if (type === "platoon") {
-    // APP-6A: • • (two dots)
-    const y = ry - 6;
-    for (const dx of [-6, 6]) {
-      ctx.beginPath();
-      ctx.arc(cx + dx, y, 3, 0, Math.PI * 2);
-      ctx.fill();
-    }
-  } else if (type === "company") {
-    // APP-6A: | (one vertical line)
-    ctx.beginPath();
-    ctx.moveTo(cx, ry - 2); ctx.lineTo(cx, ry - 12);
-    ctx.stroke();
-  } else if (type === "battalion") {
-    // APP-6A: | | (two vertical lines)
+  const echelon = ECHELON_BY_TYPE[type];
+  if (echelon) ECHELON_MARKERS[echelon.marker]?.(ctx, cx, ry, echelon.count ?? 1);
+
+  // --- Modifiers ---
+
+  if (id.taskForce) {
+    // Task force: bracket enclosing the echelon marker
     ctx.beginPath();
-    ctx.moveTo(cx - 5, ry - 2); ctx.lineTo(cx - 5, ry - 12);
-    ctx.moveTo(cx + 5, ry - 2); ctx.lineTo(cx + 5, ry - 12);
+    ctx.moveTo(cx - 14, ry); ctx.lineTo(cx - 14, ry - 15);
+    ctx.lineTo(cx + 14, ry - 15); ctx.lineTo(cx + 14, ry);
     ctx.stroke();
-  } else if (type === "regiment") {
-    // APP-6A: | | | (three vertical lines)
+  }
+
+  if (id.hq) {
+    // Headquarters: staff extending down from the lower left of the frame
     ctx.beginPath();
-    ctx.moveTo(cx - 8, ry - 2); ctx.lineTo(cx - 8, ry - 12);
-    ctx.moveTo(cx, ry - 2); ctx.lineTo(cx, ry - 12);
-    ctx.moveTo(cx + 8, ry - 2); ctx.lineTo(cx + 8, ry - 12);
+    ctx.moveTo(frame.left + 1, frame.bottom);
+    ctx.lineTo(frame.left + 1, SYMBOL_SIZE - 2);
     ctx.stroke();
   }
 
+  if (id.reinforced || id.reduced) {
+    // Field F: (+) reinforced, (-) reduced, (±) both
+    const sign = id.reinforced && id.reduced ? "\u00B1" : id.reinforced ? "+" : "\u2212";
+    ctx.font = "bold 12px sans-serif";
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    ctx.fillText(sign, frame.right + 1, frame.top - 4);
+  }
+
+  if (id.overlay) drawStatusOverlay(ctx, frame, id.overlay);
+
   return canvas;
 }
 
-// Cache billboard images
+// --- Status overlays (strength, readiness, equipment) ---
+
+const READINESS_COLORS = { green: "#20C020", amber: "#FFB000", red: "#FF2020" };
+const READINESS_RANK = { green: 0, amber: 1, red: 2 };
+
+function worseReadiness(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return READINESS_RANK[b] > READINESS_RANK[a] ? b : a;
+}
+
+// Aggregate strength/readiness/equipment over a unit's whole subtree into
+// node.totals. A unit's own fields describe its HQ element (along with its
+// commander and staff), so they are added to its children's totals.
+function computeTotals(node) {
+  const totals = { authorized: 0, current: 0, readiness: null, equipment: {}, reported: false };
+  const add = (n) => {
+    if (n.strength) {
+      totals.authorized += n.strength.authorized ?? 0;
+      totals.current += n.strength.current ?? 0;
+      totals.reported = true;
+    }
+    if (READINESS_COLORS[n.readiness]) {
+      totals.readiness = worseReadiness(totals.readiness, n.readiness);
+      totals.reported = true;
+    }
+    for (const [kind, count] of Object.entries(n.equipment ?? {})) {
+      totals.equipment[kind] = (totals.equipment[kind] ?? 0) + count;
+      totals.reported = true;
+    }
+  };
+  add(node);
+  for (const s of [node.commander, ...(node.staff ?? [])]) {
+    if (!s) continue;
+    s.totals = computeTotals(s);
+    add(s);
+  }
+  for (const child of node.children ?? []) {
+    const c = computeTotals(child);
+    totals.authorized += c.authorized;
+    totals.current += c.current;
+    totals.readiness = worseReadiness(totals.readiness, c.readiness);
+    for (const [kind, count] of Object.entries(c.equipment)) {
+      totals.equipment[kind] = (totals.equipment[kind] ?? 0) + count;
+    }
+    totals.reported ||= c.reported;
+  }
+  node.totals = totals;
+  return totals;
+}
+
+// Re-aggregate a unit as it merges, so its symbol shows the subtree it now stands for
+function refreshTotals(node) {
+  computeTotals(node);
+  entitiesById[node.uid].billboard.image = getSymbolImage(node);
+}
+
+function statusOverlay(node) {
+  const t = node.totals;
+  if (!t || !t.reported) return null;
+  // Strength ratio bucketed to 10% to keep the image cache small
+  const ratio = t.authorized > 0 ? Math.round(10 * t.current / t.authorized) / 10 : null;
+  // Without a readiness report, derive it from personnel strength
+  let readiness = t.readiness;
+  if (!readiness && ratio !== null) readiness = ratio >= 0.85 ? "green" : ratio >= 0.6 ? "amber" : "red";
+  return { ratio, readiness, badge: t.authorized > 0 ? String(t.current) : "" };
+}
+
+function drawStatusOverlay(ctx, frame, overlay) {
+  const color = READINESS_COLORS[overlay.readiness] ?? "#C0C0C0";
+
+  // Status bar under the frame: current / authorized personnel
+  if (overlay.ratio !== null) {
+    const bx = frame.left, by = frame.bottom + 4, bw = frame.right - frame.left, bh = 4;
+    ctx.fillStyle = "rgba(0,0,0,0.6)";
+    ctx.fillRect(bx, by, bw, bh);
+    ctx.fillStyle = color;
+    ctx.fillRect(bx, by, bw * Math.min(1, overlay.ratio), bh);
+  }
+
+  // Badge in the upper right, beside the echelon marker: personnel present
+  ctx.font = "bold 10px sans-serif";
+  const w = Math.max(12, ctx.measureText(overlay.badge).width + 6);
+  const x = SYMBOL_SIZE - w - 1, y = 1, h = 12;
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.roundRect(x, y, w, h, 4);
+  ctx.fill();
+  ctx.fillStyle = "#000";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(overlay.badge, x + w / 2, y + h / 2 + 1);
+}
+
+// Cache billboard images, keyed on the full symbol identity
 const symbolImages = {};
-function getSymbolImage(type) {
-  if (!symbolImages[type]) {
-    symbolImages[type] = drawMilitarySymbol(type);
+export function getSymbolImage(node) {
+  const id = symbolIdentity(node);
+  const key = [
+    id.type, id.affiliation, id.fn ?? "", id.status,
+    id.hq ? "hq" : "", id.taskForce ? "tf" : "",
+    id.reinforced ? "+" : "", id.reduced ? "-" : "",
+    id.overlay ? `${id.overlay.ratio}/${id.overlay.readiness}/${id.overlay.badge}` : "",
+    id.stale ? "stale" : "",
+  ].join("|");
+  if (!symbolImages[key]) {
+    symbolImages[key] = drawMilitarySymbol(id);
   }
-  return symbolImages[type];
+  return symbolImages[key];
 }
 
-// --- Data structures ---
+// --- Echelons ---
+
+// Levels of detail, smallest echelon first. `marker` is the echelon amplifier
+// drawn above the frame (one of ECHELON_MARKERS, repeated `count` times) and
+// `maxDistance` the camera distance in metres below which zooming selects the
+// level; the largest echelon has none. data/echelons.json replaces this list.
+const DEFAULT_ECHELONS = [
+  { type: "individual", marker: "none", maxDistance: 3000 },
+  { type: "squad", marker: "dots", count: 1, maxDistance: 10000 },
+  { type: "platoon", marker: "dots", count: 2, maxDistance: 30000 },
+  { type: "company", marker: "bars", count: 1, maxDistance: 70000 },
+  { type: "battalion", marker: "bars", count: 2, maxDistance: 150000 },
+  { type: "regiment", marker: "bars", count: 3 },
+];
+
+let LEVEL_ORDER = [];
+let ECHELON_BY_TYPE = {};
+let ZOOM_THRESHOLDS = []; // meters (distance to look-at point), one per level below the top
+
+function setEchelons(list) {
+  LEVEL_ORDER = list.map(e => e.type);
+  ECHELON_BY_TYPE = Object.fromEntries(list.map(e => [e.type, e]));
+  ZOOM_THRESHOLDS = list.slice(0, -1).map(e => e.maxDistance);
+}
+setEchelons(DEFAULT_ECHELONS);
+
+function validEchelons(list) {
+  if (!Array.isArray(list) || list.length === 0) return false;
+  if (new Set(list.map(e => e.type)).size !== list.length) return false;
+  let prev = 0;
+  for (const e of list.slice(0, -1)) {
+    if (!(e.maxDistance > prev)) return false;
+    prev = e.maxDistance;
+  }
+  return list.every(e => typeof e.type === "string" && (!e.marker || ECHELON_MARKERS[e.marker]));
+}
 
-const LEVEL_ORDER = ["individual", "squad", "platoon", "company", "battalion", "regiment"];
+async function loadEchelons() {
+  try {
+    const response = await fetch("/data/echelons.json");
+    if (!response.ok) return;
+    const list = await response.json();
+    if (validEchelons(list)) {
+      setEchelons(list);
+    } else {
+      console.warn("Ignoring data/echelons.json: expected unique types, known markers and increasing maxDistance");
+    }
+  } catch (e) {
+    console.warn("Could not load data/echelons.json, using default echelons:", e);
+  }
+}
 
-// All nodes indexed by id
+// --- Data structures ---
+
+// Forces (one ORBAT file each), in load order. Each force carries its own
+// level-of-detail state: { id, name, file, affiliation, rootNode, nodes,
+// level, visible, lod }. `lod` is "level" (one echelon for the whole force,
+// picked by zoom or number keys) or "density" (per subtree, from on-screen
+// spread). Units clicked open or shut carry `lodOverride` ("expanded" or
+// "merged"), which both modes respect.
+const forces = [];
+// Force that number keys and M apply to
+let activeForce = null;
+
+// All nodes indexed by uid (force id + node id, so ORBAT files may reuse ids)
 const nodesById = {};
-// Flat list of all nodes
+// Flat list of all nodes across forces
 let allNodes = [];
-// Root node
-let rootNode = null;
 
-// Cesium entities indexed by node id
+// Cesium entities indexed by node uid
 const entitiesById = {};
 // Polyline entities connecting each node to its parent
 const linesById = {};
@@ -96,10 +448,19 @@ const scratchEnd = new Cesium.Cartesian3();
 const ARC_SEGMENTS = 16;
 const ARC_BOW = 0.15; // perpendicular offset as fraction of distance
 
-// Current visible level index (0=individual, 5=regiment)
-let currentLevel = 0;
-let militaryVisible = true;
-let manualMode = false; // disables zoom-based auto-leveling after click merge/unmerge
+// Level index new forces start at (0 = smallest echelon), set from the camera
+let initialLevel = 0;
+
+// Listeners notified when the displayed merge state changes (fn(focusNode?))
+const changeListeners = [];
+
+export function onUnitsChanged(fn) {
+  changeListeners.push(fn);
+}
+
+function notifyUnitsChanged(focusNode) {
+  for (const fn of changeListeners) fn(focusNode ?? null);
+}
 
 // --- Sound effects ---
 
@@ -150,14 +511,40 @@ function setEntityScale(entity, scale) {
 
 // Staff/commander nodes indexed by owning unit id
 const staffByUnit = {};
+// Nodes with a time-stamped position history ("track")
+const trackedNodes = [];
+
+function initPosition(node) {
+  // A tracked node may omit its static position: start at the first report
+  const p = node.position ?? node.track[0];
+  node.homePosition = Cesium.Cartesian3.fromDegrees(p.lon, p.lat, p.alt + 50);
+  if (!node.track?.length) return;
+  const prop = new Cesium.SampledPositionProperty();
+  for (const s of node.track) {
+    prop.addSample(
+      Cesium.JulianDate.fromIso8601(s.time),
+      Cesium.Cartesian3.fromDegrees(s.lon, s.lat, s.alt + 50),
+    );
+  }
+  // Hold the first/last report outside the recorded interval
+  prop.backwardExtrapolationType = Cesium.ExtrapolationType.HOLD;
+  prop.forwardExtrapolationType = Cesium.ExtrapolationType.HOLD;
+  node.trackProperty = prop;
+  trackedNodes.push(node);
+}
 
-function flattenTree(node, parent) {
-  node.parent = parent;
-  nodesById[node.id] = node;
+function registerNode(node, force) {
+  node.force = force;
+  node.uid = `${force.id}:${node.id}`;
+  nodesById[node.uid] = node;
   allNodes.push(node);
-  node.homePosition = Cesium.Cartesian3.fromDegrees(
-    node.position.lon, node.position.lat, node.position.alt + 50
-  );
+  force.nodes.push(node);
+}
+
+function flattenTree(node, parent, force) {
+  node.parent = parent;
+  registerNode(node, force);
+  initPosition(node);
 
   // Flatten commander and staff as individual-type nodes attached to this unit
   const unitStaff = [];
@@ -168,11 +555,8 @@ function flattenTree(node, parent) {
     cmd.staffOwner = node;
     cmd.children = [];
     cmd.parent = node;
-    cmd.homePosition = Cesium.Cartesian3.fromDegrees(
-      cmd.position.lon, cmd.position.lat, cmd.position.alt + 50
-    );
-    nodesById[cmd.id] = cmd;
-    allNodes.push(cmd);
+    registerNode(cmd, force);
+    initPosition(cmd);
     unitStaff.push(cmd);
     // Unit's merged position is its commander's position
     node.homePosition = cmd.homePosition;
@@ -184,34 +568,61 @@ function flattenTree(node, parent) {
       s.staffOwner = node;
       s.children = [];
       s.parent = node;
-      s.homePosition = Cesium.Cartesian3.fromDegrees(
-        s.position.lon, s.position.lat, s.position.alt + 50
-      );
-      nodesById[s.id] = s;
-      allNodes.push(s);
+      registerNode(s, force);
+      initPosition(s);
       unitStaff.push(s);
     }
   }
-  if (unitStaff.length > 0) staffByUnit[node.id] = unitStaff;
+  if (unitStaff.length > 0) staffByUnit[node.uid] = unitStaff;
 
   for (const child of node.children) {
-    flattenTree(child, node);
+    flattenTree(child, node, force);
+  }
+}
+
+async function loadForceList() {
+  // data/forces.json lists one ORBAT file per force; without it, a single friendly force
+  const response = await fetch("/data/forces.json");
+  if (!response.ok) {
+    return [{ id: "blue", name: "Blue", file: "/data/military-units.json", affiliation: "friend" }];
   }
+  return response.json();
 }
 
 export async function loadMilitaryUnits(viewer) {
-  const response = await fetch("/data/military-units.json");
-  const tree = await response.json();
+  await loadEchelons();
+  // The echelon list may have changed the zoom thresholds
+  const dist = cameraZoomDist(viewer);
+  if (dist !== null) initialLevel = levelForDist(dist);
+
+  const forceList = await loadForceList();
   allNodes = [];
-  rootNode = tree;
-  flattenTree(tree, null);
+  for (const cfg of forceList) {
+    const response = await fetch(cfg.file);
+    const tree = await response.json();
+    const force = {
+      ...cfg,
+      rootNode: tree,
+      nodes: [],
+      level: initialLevel,
+      visible: true,
+      lod: "level",
+    };
+    forces.push(force);
+    flattenTree(tree, null, force);
+    computeTotals(tree);
+    const unknown = new Set(force.nodes.filter(n => !n.isStaff && !ECHELON_BY_TYPE[n.type]).map(n => n.type));
+    if (unknown.size > 0) {
+      console.warn(`Force ${force.id}: unit types not in the echelon list (shown as the smallest echelon):`, [...unknown]);
+    }
+  }
+  activeForce = forces[0] ?? null;
+  if (trackedNodes.length > 0) configureClock(viewer);
 
   for (const node of allNodes) {
-    const image = getSymbolImage(node.type);
-    // Staff visible only when their unit is unmerged (current level below unit's level)
-    const initShow = node.isStaff
-      ? currentLevel < LEVEL_ORDER.indexOf(node.staffOwner.type)
-      : LEVEL_ORDER.indexOf(node.type) === currentLevel;
+    const image = getSymbolImage(node);
+    const force = node.force;
+    const initShow = shownAtLevel(node, force.level);
 
     const entity = viewer.entities.add({
       name: node.name,
@@ -230,7 +641,7 @@ export async function loadMilitaryUnits(viewer) {
         style: Cesium.LabelStyle.FILL_AND_OUTLINE,
         outlineWidth: 2,
         verticalOrigin: Cesium.VerticalOrigin.TOP,
-        pixelOffset: new Cesium.Cartesian2(0, SYMBOL_SIZE / 2 + 4),
+        pixelOffset: new Cesium.Cartesian2(0, LABEL_OFFSET_Y),
         heightReference: Cesium.HeightReference.CLAMP_TO_GROUND,
         disableDepthTestDistance: Number.POSITIVE_INFINITY,
       },
@@ -238,92 +649,154 @@ export async function loadMilitaryUnits(viewer) {
     });
 
     entity._milNode = node;
-    entitiesById[node.id] = entity;
+    entitiesById[node.uid] = entity;
   }
 
   // Create polylines connecting each node to its parent
   for (const node of allNodes) {
-    if (!node.parent) continue;
-    const entity = entitiesById[node.id];
-    const parentNode = node.parent;
-    const lineEntity = viewer.entities.add({
-      polyline: {
-        positions: new Cesium.CallbackProperty(() => {
-          let currentPos = node.homePosition;
+    if (node.parent) addParentArc(viewer, node);
+  }
+
+  return { entitiesById, nodesById, allNodes, forces };
+}
+
+// Bowed arc from a node to its parent, trimmed to stay outside both symbols
+function addParentArc(viewer, node) {
+  const entity = entitiesById[node.uid];
+  const lineColor = Cesium.Color.fromCssColorString(affiliationColor(node));
+  const lineEntity = viewer.entities.add({
+    polyline: {
+      positions: new Cesium.CallbackProperty(() => {
+        let currentPos = node.homePosition;
+        try {
+          const val = entity.position.getValue(Cesium.JulianDate.now());
+          if (val) currentPos = val;
+        } catch (e) { /* use homePosition */ }
+        const parentPos = node.parent.homePosition; // read each frame: units can be reattached
+        // Direction and distance
+        const dir = Cesium.Cartesian3.subtract(parentPos, currentPos, scratchDir);
+        const dist = Cesium.Cartesian3.magnitude(dir);
+        if (dist < 1) return [currentPos, parentPos];
+        Cesium.Cartesian3.divideByScalar(dir, dist, dir);
+        // Compute symbol radius in world-space meters
+        const camDist = Cesium.Cartesian3.distance(viewer.camera.position, currentPos);
+        const fov = viewer.camera.frustum.fovy || 1.0;
+        const metersPerPx = 2 * camDist * Math.tan(fov / 2) / viewer.canvas.height;
+        const symbolRadius = metersPerPx * SYMBOL_SIZE * 0.6;
+        const trimStart = Math.min(symbolRadius, dist * 0.4);
+        const trimEnd = trimStart / 3;
+        // Perpendicular vector for arc bow (cross dir with surface normal at midpoint)
+        const mid = Cesium.Cartesian3.midpoint(currentPos, parentPos, new Cesium.Cartesian3());
+        const normal = Cesium.Cartesian3.normalize(mid, new Cesium.Cartesian3());
+        const perp = Cesium.Cartesian3.cross(dir, normal, new Cesium.Cartesian3());
+        Cesium.Cartesian3.normalize(perp, perp);
+        const bowDist = dist * ARC_BOW;
+        // Control point for quadratic bezier
+        const control = Cesium.Cartesian3.add(mid,
+          Cesium.Cartesian3.multiplyByScalar(perp, bowDist, new Cesium.Cartesian3()),
+          new Cesium.Cartesian3());
+        // Parameter range trimmed to stay outside symbols
+        const tStart = trimStart / dist;
+        const tEnd = 1 - trimEnd / dist;
+        // Sample arc points
+        const points = [];
+        for (let i = 0; i <= ARC_SEGMENTS; i++) {
+          const t = tStart + (tEnd - tStart) * (i / ARC_SEGMENTS);
+          const omt = 1 - t;
+          const p = new Cesium.Cartesian3(
+            omt * omt * currentPos.x + 2 * omt * t * control.x + t * t * parentPos.x,
+            omt * omt * currentPos.y + 2 * omt * t * control.y + t * t * parentPos.y,
+            omt * omt * currentPos.z + 2 * omt * t * control.z + t * t * parentPos.z,
+          );
+          points.push(p);
+        }
+        return points;
+      }, false),
+      width: 8,
+      material: new Cesium.ColorMaterialProperty(
+        new Cesium.CallbackProperty(() => {
           try {
-            const val = entity.position.getValue(Cesium.JulianDate.now());
-            if (val) currentPos = val;
-          } catch (e) { /* use homePosition */ }
-          const parentPos = parentNode.homePosition;
-          // Direction and distance
-          const dir = Cesium.Cartesian3.subtract(parentPos, currentPos, scratchDir);
-          const dist = Cesium.Cartesian3.magnitude(dir);
-          if (dist < 1) return [currentPos, parentPos];
-          Cesium.Cartesian3.divideByScalar(dir, dist, dir);
-          // Compute symbol radius in world-space meters
-          const camDist = Cesium.Cartesian3.distance(viewer.camera.position, currentPos);
-          const fov = viewer.camera.frustum.fovy || 1.0;
-          const metersPerPx = 2 * camDist * Math.tan(fov / 2) / viewer.canvas.height;
-          const symbolRadius = metersPerPx * SYMBOL_SIZE * 0.6;
-          const trimStart = Math.min(symbolRadius, dist * 0.4);
-          const trimEnd = trimStart / 3;
-          // Perpendicular vector for arc bow (cross dir with surface normal at midpoint)
-          const mid = Cesium.Cartesian3.midpoint(currentPos, parentPos, new Cesium.Cartesian3());
-          const normal = Cesium.Cartesian3.normalize(mid, new Cesium.Cartesian3());
-          const perp = Cesium.Cartesian3.cross(dir, normal, new Cesium.Cartesian3());
-          Cesium.Cartesian3.normalize(perp, perp);
-          const bowDist = dist * ARC_BOW;
-          // Control point for quadratic bezier
-          const control = Cesium.Cartesian3.add(mid,
-            Cesium.Cartesian3.multiplyByScalar(perp, bowDist, new Cesium.Cartesian3()),
-            new Cesium.Cartesian3());
-          // Parameter range trimmed to stay outside symbols
-          const tStart = trimStart / dist;
-          const tEnd = 1 - trimEnd / dist;
-          // Sample arc points
-          const points = [];
-          for (let i = 0; i <= ARC_SEGMENTS; i++) {
-            const t = tStart + (tEnd - tStart) * (i / ARC_SEGMENTS);
-            const omt = 1 - t;
-            const p = new Cesium.Cartesian3(
-              omt * omt * currentPos.x + 2 * omt * t * control.x + t * t * parentPos.x,
-              omt * omt * currentPos.y + 2 * omt * t * control.y + t * t * parentPos.y,
-              omt * omt * currentPos.z + 2 * omt * t * control.z + t * t * parentPos.z,
-            );
-            points.push(p);
+            const c = entity.billboard.color.getValue(Cesium.JulianDate.now());
+            return (node.stale ? STALE_LINE_COLOR : lineColor).withAlpha(0.35 * c.alpha);
+          } catch (e) {
+            return (node.stale ? STALE_LINE_COLOR : lineColor).withAlpha(0.35);
           }
-          return points;
-        }, false),
-        width: 8,
-        material: new Cesium.ColorMaterialProperty(
-          new Cesium.CallbackProperty(() => {
-            try {
-              const c = entity.billboard.color.getValue(Cesium.JulianDate.now());
-              return Cesium.Color.fromCssColorString(BLUE).withAlpha(0.35 * c.alpha);
-            } catch (e) {
-              return Cesium.Color.fromCssColorString(BLUE).withAlpha(0.35);
-            }
-          }, false)
-        ),
-        clampToGround: true,
-      },
-      show: entity.show,
-    });
-    linesById[node.id] = lineEntity;
+        }, false)
+      ),
+      clampToGround: true,
+    },
+    show: entity.show,
+  });
+  linesById[node.uid] = lineEntity;
+}
+
+// --- Timeline playback ---
+
+function configureClock(viewer) {
+  let start = null, stop = null;
+  for (const node of trackedNodes) {
+    for (const s of node.track) {
+      const t = Cesium.JulianDate.fromIso8601(s.time);
+      if (!start || Cesium.JulianDate.lessThan(t, start)) start = t;
+      if (!stop || Cesium.JulianDate.greaterThan(t, stop)) stop = t;
+    }
   }
+  viewer.clock.startTime = start.clone();
+  viewer.clock.stopTime = stop.clone();
+  viewer.clock.currentTime = start.clone();
+  viewer.clock.clockRange = Cesium.ClockRange.LOOP_STOP;
+  viewer.clock.multiplier = 60;
+  if (viewer.timeline) viewer.timeline.zoomTo(start, stop);
+}
+
+let lastTrackTime = null;
 
-  return { entitiesById, nodesById, allNodes };
+function syncEntityPosition(node, busy) {
+  const entity = entitiesById[node.uid];
+  if (busy.has(entity)) return; // merge/unmerge animation owns the position for now
+  if (entity.position instanceof Cesium.ConstantPositionProperty) {
+    entity.position.setValue(node.homePosition);
+  } else {
+    entity.position = node.homePosition;
+  }
 }
 
-// --- Zoom-based level ---
+// Whether a unit's merged position is moved by its commander (a recorded track
+// or live reports) rather than by the unit's own track
+function commanderDrives(node) {
+  const cmd = node.commander;
+  return !!cmd && (trackedNodes.includes(cmd) || reportedNodes.has(cmd));
+}
 
-const ZOOM_THRESHOLDS = [3000, 10000, 30000, 70000, 150000]; // meters (distance to look-at point)
+// Move tracked nodes to their position at `time`. Arcs and merge targets read
+// homePosition, so they follow without further work.
+function updateTrackedPositions(time) {
+  if (trackedNodes.length === 0) return;
+  if (lastTrackTime && Cesium.JulianDate.equals(time, lastTrackTime)) return;
+  lastTrackTime = Cesium.JulianDate.clone(time, lastTrackTime);
+
+  const busy = new Set(animations.map(a => a.entity));
+  for (const node of trackedNodes) {
+    if (commanderDrives(node)) continue; // merged position follows the commander
+    const pos = node.trackProperty.getValue(time);
+    if (!pos) continue;
+    node.homePosition = pos;
+    syncEntityPosition(node, busy);
+    if (node.isStaff && node.staffOwner.commander === node) {
+      // Merged echelon follows its commander
+      node.staffOwner.homePosition = pos;
+      syncEntityPosition(node.staffOwner, busy);
+    }
+  }
+}
+
+// --- Zoom-based level ---
 
 function levelForDist(dist) {
   for (let i = 0; i < ZOOM_THRESHOLDS.length; i++) {
     if (dist < ZOOM_THRESHOLDS[i]) return i;
   }
-  return ZOOM_THRESHOLDS.length; // regiment
+  return ZOOM_THRESHOLDS.length; // largest echelon
 }
 
 function cameraZoomDist(viewer) {
@@ -335,6 +808,16 @@ function cameraZoomDist(viewer) {
   return H / sinDown;
 }
 
+export function flyToUnit(viewer, node) {
+  // Frame the unit at a distance where its own echelon is the auto-selected level
+  const lvl = Math.max(0, effectiveLevel(node));
+  const near = lvl === 0 ? ZOOM_THRESHOLDS[0] / 2 : ZOOM_THRESHOLDS[lvl - 1];
+  const far = ZOOM_THRESHOLDS[lvl] ?? near * 2;
+  viewer.camera.flyToBoundingSphere(new Cesium.BoundingSphere(node.homePosition, 1), {
+    offset: new Cesium.HeadingPitchRange(viewer.camera.heading, Cesium.Math.toRadians(-60), (near + far) / 2),
+  });
+}
+
 // --- Animation ---
 
 function easeInOutCubic(t) {
@@ -372,6 +855,7 @@ function quadraticBezier(from, control, to, t, result) {
 function startAnimations(anims) {
   const now = performance.now();
   for (const a of anims) {
+    cancelFeedAnimation(a.entity); // merge/unmerge takes over the position
     a.startTime = now;
     a.entity.show = true;
     if (a.fade === "in") {
@@ -450,6 +934,7 @@ export function onPreRender() {
 
   if (allDone) {
     animating = false;
+    notifyUnitsChanged();
   }
 }
 
@@ -459,260 +944,183 @@ const ANIM_DURATION = 400;
 const PARENT_POP_SCALE = 1.2; // max scale factor for parent appear/disappear effect
 const PARENT_FADE_RELATIVE_DURATION = 0.5; // parent fade duration relative to ANIM_DURATION (also used as delay for fade-in)
 
-function getNodesAtLevel(levelIdx) {
-  const type = LEVEL_ORDER[levelIdx];
-  return allNodes.filter(n => n.type === type && !n.isStaff);
+function levelOf(node) {
+  return LEVEL_ORDER.indexOf(node.type);
+}
+
+// Whether a unit is split into its subunits at `level` by its own echelon or
+// by a manual override, regardless of its ancestors
+function explodesAt(node, level) {
+  if (node.children.length === 0) return false;
+  if (node.lodOverride) return node.lodOverride === "expanded";
+  return levelOf(node) > level;
+}
+
+// A unit is exploded at `level` when it and all its ancestors split
+function explodedAt(node, level) {
+  return explodesAt(node, level) && (!node.parent || explodedAt(node.parent, level));
 }
 
-function setLevel(newLevel, viewer) {
-  if (newLevel === currentLevel || animating) return;
+// Whether a node is on the map when its force is at `level`: the topmost unit
+// of each branch at or below that echelon. ORBATs that skip an echelon, or
+// bottom out above it, still show their lowest units. Staff show while their
+// unit is exploded.
+function shownAtLevel(node, level) {
+  if (node.isStaff) return explodedAt(node.staffOwner, level);
+  if (node.parent && !explodedAt(node.parent, level)) return false;
+  return !explodesAt(node, level);
+}
+
+// The unit that stands for `node` when `isShown` holds: itself or its nearest
+// shown ancestor
+function representative(node, isShown) {
+  let n = node.isStaff ? node.staffOwner : node;
+  while (n.parent && !isShown(n)) n = n.parent;
+  return n;
+}
+
+// Callers check `animating` first, so several forces can change level in the same frame
+function setLevel(force, newLevel) {
+  if (newLevel === force.level) return;
   if (newLevel < 0 || newLevel > LEVEL_ORDER.length - 1) return;
 
-  const oldLevel = currentLevel;
-  currentLevel = newLevel;
+  const oldLevel = force.level;
+  force.level = newLevel;
 
-  if (newLevel > oldLevel) {
-    // Merging: children converge to parent
-    // For each step up, animate children → parent
-    mergeStep(oldLevel, newLevel);
+  if (!force.visible) {
+    showLevel(force, newLevel);
   } else {
-    // Unmerging: parent expands to children
-    unmergeStep(oldLevel, newLevel);
+    // Merging when going up, unmerging when going down
+    transitionToLevel(force, newLevel, newLevel > oldLevel ? MERGE_BEEP_FREQ : UNMERGE_BEEP_FREQ);
   }
 }
 
 function effectiveLevel(node) {
-  if (node.isStaff) return LEVEL_ORDER.indexOf(node.staffOwner.type);
-  return LEVEL_ORDER.indexOf(node.type);
+  if (node.isStaff) return levelOf(node.staffOwner);
+  return levelOf(node);
+}
+
+function transitionToLevel(force, level, beepFreq) {
+  // No animations needed: just show the correct level
+  if (!transitionTo(force, (n) => shownAtLevel(n, level), beepFreq)) showLevel(force, level);
 }
 
-function mergeStep(fromLevel, toLevel) {
+// Animate a force from what is on the map now to the nodes `isShown` selects.
+// Nodes that go away converge onto the unit that absorbs them, or fade out
+// where they stand when they split up; nodes that appear fan out of the unit
+// they split from, or fade in where their subunits converge. Returns whether
+// anything animates.
+function transitionTo(force, isShown, beepFreq) {
+  const wasShown = new Set(force.nodes.filter(n => entitiesById[n.uid].show));
+  const shownAncestor = (node) => {
+    for (let a = node.parent; a; a = a.parent) if (wasShown.has(a)) return a;
+    return null;
+  };
   const anims = [];
 
-  // Hide all levels except what's animating
-  // Staff above toLevel stay visible (their units are still exploded)
-  for (const node of allNodes) {
-    if (node.isStaff) {
-      const ownerLvl = LEVEL_ORDER.indexOf(node.staffOwner.type);
-      if (ownerLvl < fromLevel || ownerLvl === toLevel) {
-        entitiesById[node.id].show = false;
-      }
-      // Staff above toLevel remain visible — don't hide them
-    } else {
-      const lvl = LEVEL_ORDER.indexOf(node.type);
-      if (lvl < fromLevel || lvl > toLevel) {
-        entitiesById[node.id].show = false;
-      }
-    }
-  }
+  for (const node of force.nodes) {
+    const entity = entitiesById[node.uid];
+    const was = wasShown.has(node);
+    const will = isShown(node);
 
-  // Animate nodes at fromLevel → their ancestor at toLevel
-  const fromNodes = getNodesAtLevel(fromLevel);
-  for (const node of fromNodes) {
-    const entity = entitiesById[node.id];
-    // Find ancestor at toLevel
-    let ancestor = node;
-    while (ancestor && LEVEL_ORDER.indexOf(ancestor.type) < toLevel) {
-      ancestor = ancestor.parent;
+    if (was === will) {
+      // Unchanged, or an intermediate echelon that is skipped over
+      entity.show = will;
+      continue;
     }
-    if (!ancestor) continue;
 
-    const fromPos = node.homePosition;
-    const toPos = ancestor.homePosition;
-
-    anims.push({
-      entity,
-      from: fromPos,
-      to: toPos,
-      duration: ANIM_DURATION,
-      fade: "out",
-      onComplete: () => {
-        entity.show = false;
-        entity.position = node.homePosition; // reset
-      },
-    });
-
-    // Fade out staff of this node
-    const staff = staffByUnit[node.id];
-    if (staff) {
-      for (const s of staff) {
-        const se = entitiesById[s.id];
+    if (was) {
+      const target = representative(node, isShown);
+      if (node.isStaff && target === node.staffOwner) {
+        // Staff of a now-merged unit fade out where they stand
         anims.push({
-          entity: se,
-          from: s.homePosition,
-          to: toPos,
+          entity,
+          from: node.homePosition,
+          to: node.homePosition,
           duration: ANIM_DURATION,
           fade: "out",
-          onComplete: () => { se.show = false; se.position = s.homePosition; },
+          fadeDuration: ANIM_DURATION * PARENT_FADE_RELATIVE_DURATION,
+          onComplete: () => { entity.show = false; entity.position = node.homePosition; },
         });
-      }
-    }
-  }
-
-  // Also animate intermediate levels if jumping multiple levels
-  for (let lvl = fromLevel + 1; lvl < toLevel; lvl++) {
-    for (const node of getNodesAtLevel(lvl)) {
-      entitiesById[node.id].show = false;
-      const staff = staffByUnit[node.id];
-      if (staff) for (const s of staff) entitiesById[s.id].show = false;
-    }
-  }
-
-  // Fade in parent entities at toLevel (twice as fast, delayed by half)
-  for (const node of getNodesAtLevel(toLevel)) {
-    const pe = entitiesById[node.id];
-    pe.position = node.homePosition;
-    anims.push({
-      entity: pe,
-      from: node.homePosition,
-      to: node.homePosition,
-      duration: ANIM_DURATION,
-      fade: "in",
-      popScale: true,
-      fadeDelay: ANIM_DURATION * (1 - PARENT_FADE_RELATIVE_DURATION),
-      fadeDuration: ANIM_DURATION * PARENT_FADE_RELATIVE_DURATION,
-      onComplete: () => {
-        pe.position = node.homePosition;
-      },
-    });
-
-    // Staff of the now-merged unit fade out (they were visible when unit was exploded)
-    const staff = staffByUnit[node.id];
-    if (staff) {
-      for (const s of staff) {
-        const se = entitiesById[s.id];
+      } else if (target !== node && isShown(target)) {
+        // Converge onto the unit that stands for this one at the new level
         anims.push({
-          entity: se,
-          from: s.homePosition,
-          to: s.homePosition,
+          entity,
+          from: node.homePosition,
+          to: target.homePosition,
           duration: ANIM_DURATION,
           fade: "out",
+          onComplete: () => {
+            entity.show = false;
+            entity.position = node.homePosition; // reset
+          },
+        });
+      } else {
+        // Split into subunits: fade out (twice as fast)
+        entity.position = node.homePosition;
+        anims.push({
+          entity,
+          from: node.homePosition,
+          to: node.homePosition,
+          duration: ANIM_DURATION,
+          fade: "out",
+          popScale: true,
           fadeDuration: ANIM_DURATION * PARENT_FADE_RELATIVE_DURATION,
-          onComplete: () => { se.show = false; se.position = s.homePosition; },
+          onComplete: () => {
+            entity.show = false;
+            entity.position = node.homePosition;
+          },
         });
       }
-    }
-  }
-
-  if (anims.length > 0) {
-    playBeep(MERGE_BEEP_FREQ);
-    startAnimations(anims);
-  } else {
-    // No animations needed, just show correct level
-    showLevel(toLevel);
-  }
-}
-
-function unmergeStep(fromLevel, toLevel) {
-  const anims = [];
-
-  // Hide levels not involved in the animation
-  // Staff above toLevel stay visible (their units remain exploded)
-  for (const node of allNodes) {
-    if (node.isStaff) {
-      const ownerLvl = LEVEL_ORDER.indexOf(node.staffOwner.type);
-      if (ownerLvl !== fromLevel && ownerLvl <= toLevel) {
-        entitiesById[node.id].show = false;
-      }
     } else {
-      const lvl = LEVEL_ORDER.indexOf(node.type);
-      if (lvl !== fromLevel && lvl !== toLevel) {
-        entitiesById[node.id].show = false;
-      }
-    }
-  }
-
-  // Animate nodes at toLevel from their ancestor at fromLevel
-  const toNodes = getNodesAtLevel(toLevel);
-  for (const node of toNodes) {
-    const entity = entitiesById[node.id];
-    // Find ancestor at fromLevel
-    let ancestor = node;
-    while (ancestor && LEVEL_ORDER.indexOf(ancestor.type) < fromLevel) {
-      ancestor = ancestor.parent;
-    }
-    if (!ancestor) continue;
-
-    const fromPos = ancestor.homePosition;
-    const toPos = node.homePosition;
-
-    anims.push({
-      entity,
-      from: fromPos,
-      to: toPos,
-      duration: ANIM_DURATION,
-      fade: "in",
-      onComplete: () => {
+      const source = shownAncestor(node);
+      if (source && !(node.isStaff && source === node.staffOwner)) {
+        // Fan out of the unit that stood for this one
+        anims.push({
+          entity,
+          from: source.homePosition,
+          to: node.homePosition,
+          duration: ANIM_DURATION,
+          fade: "in",
+          onComplete: () => {
+            entity.position = node.homePosition;
+          },
+        });
+      } else {
+        // Merged unit (or staff of a unit splitting up) fades in where it
+        // stands, twice as fast and delayed by half
+        if (!node.isStaff) refreshTotals(node);
         entity.position = node.homePosition;
-      },
-    });
-
-    // Children at toLevel are merged — their staff stay hidden
-    const staff = staffByUnit[node.id];
-    if (staff) {
-      for (const s of staff) entitiesById[s.id].show = false;
-    }
-  }
-
-  // Fade out the old parent entities (twice as fast)
-  for (const node of getNodesAtLevel(fromLevel)) {
-    const pe = entitiesById[node.id];
-    pe.position = node.homePosition;
-    anims.push({
-      entity: pe,
-      from: node.homePosition,
-      to: node.homePosition,
-      duration: ANIM_DURATION,
-      fade: "out",
-      popScale: true,
-      fadeDuration: ANIM_DURATION * PARENT_FADE_RELATIVE_DURATION,
-      onComplete: () => {
-        pe.show = false;
-        pe.position = node.homePosition;
-      },
-    });
-
-    // Parent is now unmerged — fade IN its staff
-    const staff = staffByUnit[node.id];
-    if (staff) {
-      for (const s of staff) {
-        const se = entitiesById[s.id];
-        se.position = s.homePosition;
         anims.push({
-          entity: se,
-          from: s.homePosition,
-          to: s.homePosition,
+          entity,
+          from: node.homePosition,
+          to: node.homePosition,
           duration: ANIM_DURATION,
           fade: "in",
+          popScale: !node.isStaff,
           fadeDelay: ANIM_DURATION * (1 - PARENT_FADE_RELATIVE_DURATION),
           fadeDuration: ANIM_DURATION * PARENT_FADE_RELATIVE_DURATION,
-          onComplete: () => { se.position = s.homePosition; },
+          onComplete: () => {
+            entity.position = node.homePosition;
+          },
         });
       }
     }
   }
 
-  if (anims.length > 0) {
-    playBeep(UNMERGE_BEEP_FREQ);
-    startAnimations(anims);
-  } else {
-    showLevel(toLevel);
-  }
+  if (anims.length === 0) return false;
+  playBeep(beepFreq);
+  startAnimations(anims);
+  return true;
 }
 
-function showLevel(levelIdx) {
-  const type = LEVEL_ORDER[levelIdx];
-  for (const node of allNodes) {
-    const entity = entitiesById[node.id];
-    if (node.isStaff) {
-      // Staff visible only when the unit is unmerged (current level is below the unit's level)
-      const ownerLevel = LEVEL_ORDER.indexOf(node.staffOwner.type);
-      entity.show = militaryVisible && levelIdx < ownerLevel;
-    } else {
-      entity.show = militaryVisible && node.type === type;
-    }
+function showLevel(force, levelIdx) {
+  for (const node of force.nodes) {
+    const entity = entitiesById[node.uid];
+    entity.show = force.visible && shownAtLevel(node, levelIdx);
     entity.position = node.homePosition;
   }
+  notifyUnitsChanged();
 }
 
 // --- Click toggle ---
@@ -724,9 +1132,7 @@ function pickMilNode(viewer, click) {
   const entity = picked.id;
   const node = entity._milNode;
   if (!node || node.children.length === 0) return null;
-  const childType = LEVEL_ORDER[LEVEL_ORDER.indexOf(node.type) - 1];
-  if (!childType) return null;
-  return { entity, node, childType };
+  return { entity, node };
 }
 
 export function handleRightClick(viewer, click) {
@@ -737,13 +1143,59 @@ export function handleRightClick(viewer, click) {
   const node = entity._milNode;
   if (!node || !node.parent) return false; // need a parent to merge into
 
-  const parent = node.parent;
-  const parentEntity = entitiesById[parent.id];
-  const childType = node.type;
+  if (!mergeNode(node.parent)) return false;
+  notifyUnitsChanged(node.parent);
+  return true;
+}
+
+// What a force shows, to return to on undo
+function displaySnapshot(force) {
+  return {
+    shown: new Set(force.nodes.filter(n => entitiesById[n.uid].show)),
+    overrides: new Map(force.nodes.map(n => [n, n.lodOverride])),
+  };
+}
+
+function restoreDisplay(force, snapshot, beepFreq) {
+  if (animating) return false;
+  for (const [node, override] of snapshot.overrides) {
+    if (override) node.lodOverride = override; else delete node.lodOverride;
+  }
+  if (!transitionTo(force, (n) => force.visible && snapshot.shown.has(n), beepFreq)) notifyUnitsChanged();
+  return true;
+}
+
+// Merge every visible descendant of `parent` (units and their staff) back into
+// it. The merge is kept as an override on `parent` by every level-of-detail mode.
+export function mergeNode(parent) {
+  if (animating) return false;
+  const before = displaySnapshot(parent.force);
+  if (!applyMerge(parent)) return false;
+  recordAction({
+    label: `Merge ${parent.name}`,
+    undo: () => restoreDisplay(parent.force, before, UNMERGE_BEEP_FREQ),
+    redo: () => !animating && applyMerge(parent),
+  });
+  return true;
+}
+
+// False when there is nothing on the map to merge
+function applyMerge(parent) {
+  const anims = mergeAnimations(parent);
+  if (anims.length === 0) return false;
+  refreshTotals(parent);
+  parent.lodOverride = "merged";
+  playBeep(MERGE_BEEP_FREQ);
+  startAnimations(anims);
+  return true;
+}
+
+function mergeAnimations(parent) {
+  const parentEntity = entitiesById[parent.uid];
 
   const anims = [];
-  forEachDescendantAtLevel(parent, childType, (desc) => {
-    const e = entitiesById[desc.id];
+  forEachVisibleDescendant(parent, (desc) => {
+    const e = entitiesById[desc.uid];
     anims.push({
       entity: e,
       from: desc.homePosition,
@@ -752,22 +1204,8 @@ export function handleRightClick(viewer, click) {
       fade: "out",
       onComplete: () => { e.show = false; e.position = desc.homePosition; },
     });
-    // Fade out staff of merging children
-    const staff = staffByUnit[desc.id];
-    if (staff) {
-      for (const s of staff) {
-        const se = entitiesById[s.id];
-        anims.push({
-          entity: se,
-          from: s.homePosition,
-          to: parent.homePosition,
-          duration: ANIM_DURATION,
-          fade: "out",
-          onComplete: () => { se.show = false; se.position = s.homePosition; },
-        });
-      }
-    }
   });
+  if (anims.length === 0 && parentEntity.show) return anims; // already merged
   parentEntity.position = parent.homePosition;
   anims.push({
     entity: parentEntity,
@@ -781,10 +1219,11 @@ export function handleRightClick(viewer, click) {
     onComplete: () => { parentEntity.position = parent.homePosition; },
   });
   // Parent is now merged — fade out its staff (they were visible when parent was exploded)
-  const parentStaff = staffByUnit[parent.id];
+  const parentStaff = staffByUnit[parent.uid];
   if (parentStaff) {
     for (const s of parentStaff) {
-      const se = entitiesById[s.id];
+      const se = entitiesById[s.uid];
+      if (!se.show) continue;
       anims.push({
         entity: se, from: s.homePosition, to: s.homePosition,
         duration: ANIM_DURATION, fade: "out",
@@ -793,19 +1232,45 @@ export function handleRightClick(viewer, click) {
       });
     }
   }
-  if (anims.length > 0) { manualMode = true; playBeep(MERGE_BEEP_FREQ); startAnimations(anims); }
-  return true;
+  return anims;
 }
 
 export function handleLeftClick(viewer, click) {
   const hit = pickMilNode(viewer, click);
   if (!hit) return false;
-  const { entity, node, childType } = hit;
+  if (!unmergeNode(hit.node)) return false;
+  notifyUnitsChanged(hit.node);
+  return true;
+}
 
-  const firstChild = node.children[0];
-  const childEntity = entitiesById[firstChild.id];
+// Explode a merged unit into its direct children (and fade in its own staff),
+// kept as an override on the unit like mergeNode
+export function unmergeNode(node) {
+  if (animating || node.children.length === 0) return false;
+  const childEntity = entitiesById[node.children[0].uid];
   if (childEntity.show) return false; // children already visible, nothing to unmerge
 
+  const before = displaySnapshot(node.force);
+  if (!applyUnmerge(node)) return false;
+  recordAction({
+    label: `Unmerge ${node.name}`,
+    undo: () => restoreDisplay(node.force, before, MERGE_BEEP_FREQ),
+    redo: () => !animating && applyUnmerge(node),
+  });
+  return true;
+}
+
+function applyUnmerge(node) {
+  const anims = unmergeAnimations(node);
+  if (anims.length === 0) return false;
+  node.lodOverride = "expanded";
+  playBeep(UNMERGE_BEEP_FREQ);
+  startAnimations(anims);
+  return true;
+}
+
+function unmergeAnimations(node) {
+  const entity = entitiesById[node.uid];
   const anims = [];
   anims.push({
     entity,
@@ -821,10 +1286,10 @@ export function handleLeftClick(viewer, click) {
     },
   });
   // Parent is now unmerged — fade IN its staff
-  const nodeStaff = staffByUnit[node.id];
+  const nodeStaff = staffByUnit[node.uid];
   if (nodeStaff) {
     for (const s of nodeStaff) {
-      const se = entitiesById[s.id];
+      const se = entitiesById[s.uid];
       se.position = s.homePosition;
       anims.push({
         entity: se, from: s.homePosition, to: s.homePosition,
@@ -835,8 +1300,9 @@ export function handleLeftClick(viewer, click) {
       });
     }
   }
-  forEachDescendantAtLevel(node, childType, (desc) => {
-    const e = entitiesById[desc.id];
+  // Direct subunits, whatever their echelon (an ORBAT may skip one)
+  for (const desc of node.children) {
+    const e = entitiesById[desc.uid];
     anims.push({
       entity: e,
       from: node.homePosition,
@@ -846,94 +1312,640 @@ export function handleLeftClick(viewer, click) {
       onComplete: () => { e.position = desc.homePosition; },
     });
     // Children are merged — their staff stay hidden
-    const staff = staffByUnit[desc.id];
+    const staff = staffByUnit[desc.uid];
     if (staff) {
-      for (const s of staff) entitiesById[s.id].show = false;
+      for (const s of staff) entitiesById[s.uid].show = false;
     }
+  }
+  return anims;
+}
+
+// A unit is expanded when it is hidden and part of its subtree is on the map
+export function isExpanded(node) {
+  if (entitiesById[node.uid].show) return false;
+  return node.children.some(c => entitiesById[c.uid].show || isExpanded(c));
+}
+
+function forEachVisibleDescendant(node, fn) {
+  for (const child of node.children) {
+    if (entitiesById[child.uid].show) fn(child);
+    for (const s of staffByUnit[child.uid] ?? []) {
+      if (entitiesById[s.uid].show) fn(s);
+    }
+    forEachVisibleDescendant(child, fn);
+  }
+}
+
+// --- Drag to reposition ---
+
+const DRAG_THRESHOLD_PX = 5;
+// { node, startPosition, attach } set on LEFT_DOWN over a unit; `attach` drags
+// a rubber band to a new parent instead of moving the unit
+let dragCandidate = null;
+let dragging = false;
+let attachLine = null; // rubber band polyline while reattaching
+let attachCursor = null;
+
+function moveNodeTo(node, pos) {
+  const moved = [node];
+  node.position = pos;
+  node.homePosition = Cesium.Cartesian3.fromDegrees(pos.lon, pos.lat, pos.alt + 50);
+  if (node.commander) {
+    // Unit's merged position is its commander's position: move the commander along
+    node.commander.position = { ...pos };
+    node.commander.homePosition = node.homePosition;
+    moved.push(node.commander);
+  }
+  if (node.isStaff && node.staffOwner.commander === node) {
+    node.staffOwner.homePosition = node.homePosition;
+  }
+  for (const n of moved) entitiesById[n.uid].position = n.homePosition;
+  return moved;
+}
+
+function saveUnitPositions(nodes) {
+  const moves = nodes.map(n => ({ id: n.id, position: n.position }));
+  fetch("/api/move-units", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ force: nodes[0].force.id, moves }),
+  }).then((res) => {
+    if (!res.ok) console.error("Move unit failed:", res.status);
+  }).catch((e) => console.error("Move unit error:", e));
+}
+
+function pickGround(viewer, windowPosition) {
+  const ray = viewer.camera.getPickRay(windowPosition);
+  return ray && viewer.scene.globe.pick(ray, viewer.scene);
+}
+
+export function handleLeftDown(viewer, click, { attach = false } = {}) {
+  if (animating) return false;
+  const picked = viewer.scene.pick(click.position);
+  if (!picked || !(picked.id instanceof Cesium.Entity)) return false;
+  const node = picked.id._milNode;
+  if (!node) return false;
+  if (attach) {
+    // Only units below the top of the ORBAT can change parent; staff stay with their unit
+    if (node.isStaff || !node.parent) return false;
+  } else if (node.trackProperty || node.commander?.trackProperty) {
+    // Tracked units are positioned by the timeline, not by hand
+    return false;
+  }
+  dragCandidate = { node, startPosition: Cesium.Cartesian2.clone(click.position), attach };
+  // Keep the camera still while the unit is being dragged
+  viewer.scene.screenSpaceCameraController.enableInputs = false;
+  return true;
+}
+
+export function handleMouseMove(viewer, movement) {
+  if (!dragCandidate) return false;
+  if (!dragging) {
+    if (Cesium.Cartesian2.distance(movement.endPosition, dragCandidate.startPosition) < DRAG_THRESHOLD_PX) return true;
+    dragging = true;
+  }
+  const cartesian = pickGround(viewer, movement.endPosition);
+  if (!cartesian) return true;
+  if (dragCandidate.attach) {
+    attachCursor = cartesian;
+    if (!attachLine) {
+      const node = dragCandidate.node;
+      attachLine = viewer.entities.add({
+        polyline: {
+          positions: new Cesium.CallbackProperty(() => [node.homePosition, attachCursor], false),
+          width: 3,
+          material: new Cesium.PolylineDashMaterialProperty({ color: Cesium.Color.YELLOW }),
+          clampToGround: true,
+        },
+      });
+    }
+    return true;
+  }
+  const carto = Cesium.Cartographic.fromCartesian(cartesian);
+  moveNodeTo(dragCandidate.node, {
+    lat: parseFloat(Cesium.Math.toDegrees(carto.latitude).toFixed(6)),
+    lon: parseFloat(Cesium.Math.toDegrees(carto.longitude).toFixed(6)),
+    alt: Math.round(carto.height),
   });
-  if (anims.length > 0) { manualMode = true; playBeep(UNMERGE_BEEP_FREQ); startAnimations(anims); }
   return true;
 }
 
-function forEachDescendantAtLevel(node, type, fn) {
-  for (const child of node.children) {
-    if (child.type === type) {
-      fn(child);
-    } else {
-      forEachDescendantAtLevel(child, type, fn);
+export function handleLeftUp(viewer, up) {
+  if (!dragCandidate) return false;
+  const { node, attach } = dragCandidate;
+  const wasDragging = dragging;
+  dragCandidate = null;
+  dragging = false;
+  viewer.scene.screenSpaceCameraController.enableInputs = true;
+  if (attachLine) {
+    viewer.entities.remove(attachLine);
+    attachLine = null;
+  }
+  if (!wasDragging) return false;
+  if (attach) return dropOnParent(viewer, node, up.position);
+  saveUnitPositions(node.commander ? [node, node.commander] : [node]);
+  return true;
+}
+
+// --- Task organisation (reattach a unit to another parent) ---
+
+// Moves back of unsaved reattachments, waiting for an animation to finish
+const deferredMoves = [];
+
+function dropOnParent(viewer, node, windowPosition) {
+  const picked = viewer.scene.pick(windowPosition);
+  let target = picked?.id instanceof Cesium.Entity ? picked.id._milNode : null;
+  if (!target) return false;
+  if (target.isStaff) target = target.staffOwner; // dropping on staff means their unit
+  if (target === node.parent) return false;
+
+  const oldParent = node.parent;
+  const oldIndex = oldParent.children.indexOf(node);
+  const newIndex = target.children.length;
+  const saved = reparentNode(viewer, node, target, newIndex);
+  if (!saved) return false;
+  // Undoable once the ORBAT file has it
+  saved.then((ok) => {
+    if (!ok) return;
+    recordAction({
+      label: `Reattach ${node.name} to ${target.name}`,
+      undo: () => reparentNode(viewer, node, oldParent, oldIndex),
+      redo: () => reparentNode(viewer, node, target, newIndex),
+    });
+  });
+  return true;
+}
+
+function reparentError(node, newParent) {
+  if (node.isStaff || newParent.isStaff) return "Commanders and staff cannot be reattached";
+  if (!node.parent) return `${node.name} is the top of its ORBAT`;
+  if (newParent.force !== node.force) return "Units can only be reattached within their own force";
+  for (let n = newParent; n; n = n.parent) {
+    if (n === node) return `${newParent.name} is part of ${node.name}`;
+  }
+  const lvl = levelOf(node), parentLvl = levelOf(newParent);
+  if (lvl >= 0 && parentLvl >= 0 && parentLvl <= lvl) {
+    return `A ${newParent.type} cannot take a ${node.type} under command`;
+  }
+  return null;
+}
+
+// Move `node` (with its subtree) under `newParent` at child position `index`,
+// update the map and save the change to the force's ORBAT file. Returns false
+// when the move is not possible now, else a promise of whether the file took
+// it; when it did not, the unit moves back.
+export function reparentNode(viewer, node, newParent, index = newParent.children.length) {
+  const oldParent = node.parent;
+  const oldIndex = oldParent?.children.indexOf(node);
+  if (!moveNode(viewer, node, newParent, index)) return false;
+  return saveReparent(node, newParent, index).then((ok) => {
+    if (!ok) {
+      console.warn(`Reattaching ${node.name} was not saved; it goes back under ${oldParent.name}`);
+      const moveBack = () => moveNode(viewer, node, oldParent, oldIndex);
+      if (!moveBack()) deferredMoves.push(moveBack);
     }
+    return ok;
+  });
+}
+
+// The map side of reparentNode
+function moveNode(viewer, node, newParent, index) {
+  if (animating) return false;
+  const error = reparentError(node, newParent);
+  if (error) {
+    console.warn(`Cannot reattach ${node.name}: ${error}`);
+    return false;
   }
+
+  const oldParent = node.parent;
+  const wasVisible = entitiesById[node.uid].show || isExpanded(node);
+  oldParent.children.splice(oldParent.children.indexOf(node), 1);
+  newParent.children.splice(Math.min(index, newParent.children.length), 0, node);
+  node.parent = newParent;
+
+  // Totals and inherited affiliation change along both branches
+  computeTotals(node.force.rootNode);
+  for (const n of node.force.nodes) entitiesById[n.uid].billboard.image = getSymbolImage(n);
+  viewer.entities.remove(linesById[node.uid]);
+  addParentArc(viewer, node);
+
+  if (node.force.visible) updateReparentedDisplay(node, oldParent, newParent, wasVisible);
+  notifyUnitsChanged(node);
+  return true;
+}
+
+// Keep the map consistent with the new tree: a unit joining a merged parent
+// merges into it, one joining an exploded parent shows, and a parent left
+// without subunits shows merged again
+function updateReparentedDisplay(node, oldParent, newParent, wasVisible) {
+  const anims = [];
+  let target = newParent;
+  while (target && !entitiesById[target.uid].show) target = target.parent;
+
+  if (wasVisible && target) {
+    const shown = [node, ...(staffByUnit[node.uid] ?? [])].filter(n => entitiesById[n.uid].show);
+    forEachVisibleDescendant(node, (desc) => shown.push(desc));
+    for (const n of shown) {
+      const e = entitiesById[n.uid];
+      anims.push({
+        entity: e, from: n.homePosition, to: target.homePosition,
+        duration: ANIM_DURATION, fade: "out",
+        onComplete: () => { e.show = false; e.position = n.homePosition; },
+      });
+    }
+  } else if (!wasVisible && !target) {
+    const e = entitiesById[node.uid];
+    e.position = node.homePosition;
+    anims.push({
+      entity: e, from: node.homePosition, to: node.homePosition,
+      duration: ANIM_DURATION, fade: "in", popScale: true,
+      onComplete: () => { e.position = node.homePosition; },
+    });
+  }
+
+  const oldEntity = entitiesById[oldParent.uid];
+  if (oldParent.children.length === 0 && !oldEntity.show) {
+    oldEntity.position = oldParent.homePosition;
+    anims.push({
+      entity: oldEntity, from: oldParent.homePosition, to: oldParent.homePosition,
+      duration: ANIM_DURATION, fade: "in", popScale: true,
+      onComplete: () => { oldEntity.position = oldParent.homePosition; },
+    });
+    for (const s of staffByUnit[oldParent.uid] ?? []) entitiesById[s.uid].show = false;
+  }
+
+  if (anims.length > 0) {
+    playBeep(MERGE_BEEP_FREQ);
+    startAnimations(anims);
+  }
+}
+
+// Resolves to whether the ORBAT file was changed
+function saveReparent(node, newParent, index) {
+  return fetch("/api/reparent-unit", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ force: node.force.id, id: node.id, parent: newParent.id, index }),
+  }).then((res) => {
+    if (!res.ok) throw new Error(`reattach failed (${res.status})`);
+    return true;
+  }).catch((e) => {
+    console.error("Reattach unit error:", e);
+    return false;
+  });
+}
+
+// --- Density level of detail ---
+
+// A unit explodes once its subunits would spread over enough screen space to
+// sit apart: SPACING px per subunit at the view centre, up to (1 + EDGE_FACTOR)
+// times that towards the screen edge, so units in view explode first and
+// outlying ones stay merged. Exploded units merge again only below
+// HYSTERESIS of that spread, so they don't flicker at the threshold.
+const LOD_SPACING_PX = SYMBOL_SIZE * 1.5;
+const LOD_EDGE_FACTOR = 2;
+const LOD_HYSTERESIS = 0.7;
+
+const scratchWindow = new Cesium.Cartesian2();
+
+function windowPosition(scene, position) {
+  const win = Cesium.SceneTransforms.worldToWindowCoordinates(scene, position, scratchWindow);
+  return win ? { x: win.x, y: win.y } : null;
+}
+
+function wantsExploded(viewer, node, exploded) {
+  if (node.lodOverride) return node.lodOverride === "expanded";
+  const scene = viewer.scene;
+  const centre = windowPosition(scene, node.homePosition);
+  if (!centre) return exploded; // behind the globe or the camera: leave as is
+
+  let spread = 0;
+  for (const child of node.children) {
+    const p = windowPosition(scene, child.homePosition);
+    if (p) spread = Math.max(spread, Math.hypot(p.x - centre.x, p.y - centre.y));
+  }
+  const halfW = scene.canvas.clientWidth / 2, halfH = scene.canvas.clientHeight / 2;
+  const offCentre = Math.min(1, Math.hypot(centre.x - halfW, centre.y - halfH) / Math.hypot(halfW, halfH));
+  // Area for n subunits: pi * r^2 >= n * SPACING^2
+  const needed = LOD_SPACING_PX * Math.sqrt(node.children.length / Math.PI) * (1 + LOD_EDGE_FACTOR * offCentre);
+  return spread >= (exploded ? needed * LOD_HYSTERESIS : needed);
+}
+
+// Queue animations that move a density-mode force one step towards the
+// wanted display: merged units on the frontier explode, exploded units that
+// got too dense merge. Deeper changes follow on the next update. Returns
+// whether any unit explodes.
+function queueDensityAnimations(viewer, force, anims) {
+  let exploding = false;
+  const visit = (node) => {
+    if (node.children.length === 0) return;
+    const shown = entitiesById[node.uid].show;
+    const exploded = !shown && isExpanded(node);
+    if (!shown && !exploded) return;
+    const want = wantsExploded(viewer, node, exploded);
+    if (shown && want) {
+      anims.push(...unmergeAnimations(node));
+      exploding = true;
+    } else if (exploded && !want) {
+      anims.push(...mergeAnimations(node));
+    } else if (exploded) {
+      node.children.forEach(visit);
+    }
+  };
+  visit(force.rootNode);
+  return exploding;
 }
 
 // --- Zoom listener ---
 
-let zoomDebounceTimer = null;
+let lodTimer = null;
+
+function updateAutoLevels(viewer) {
+  if (animating) return;
+  const dist = cameraZoomDist(viewer);
+  const newLevel = dist === null ? null : levelForDist(dist);
+  const anims = [];
+  let exploding = false;
+  for (const force of forces) {
+    if (!force.visible) continue;
+    if (force.lod === "density") {
+      if (queueDensityAnimations(viewer, force, anims)) exploding = true;
+    } else if (newLevel !== null && newLevel > force.level) {
+      // Level mode only auto-merges when zooming out; never auto-unmerge
+      setLevel(force, newLevel);
+    }
+  }
+  if (anims.length > 0) {
+    playBeep(exploding ? UNMERGE_BEEP_FREQ : MERGE_BEEP_FREQ);
+    startAnimations(anims);
+  }
+}
+
+function scheduleAutoLevels(viewer) {
+  if (lodTimer) clearTimeout(lodTimer);
+  lodTimer = setTimeout(() => updateAutoLevels(viewer), 50);
+}
 
 export function setupZoomListener(viewer) {
   // Set initial level from camera distance (no animation)
   const initDist = cameraZoomDist(viewer);
   if (initDist !== null) {
-    currentLevel = levelForDist(initDist);
-    showLevel(currentLevel);
-  }
-
-  viewer.camera.changed.addEventListener(() => {
-    if (zoomDebounceTimer) clearTimeout(zoomDebounceTimer);
-    zoomDebounceTimer = setTimeout(() => {
-      if (!militaryVisible || manualMode) return;
-      const dist = cameraZoomDist(viewer);
-      if (dist === null) return;
-      const newLevel = levelForDist(dist);
-      if (newLevel > currentLevel) {
-        // Only auto-merge when zooming out; never auto-unmerge
-        setLevel(newLevel, viewer);
-      }
-    }, 50);
-  });
+    initialLevel = levelForDist(initDist);
+    for (const force of forces) {
+      force.level = initialLevel;
+      showLevel(force, initialLevel);
+    }
+  }
+
+  viewer.camera.changed.addEventListener(() => scheduleAutoLevels(viewer));
   viewer.camera.percentageChanged = 0.1;
+  // Density mode works one echelon at a time: carry on once an animation ends
+  onUnitsChanged(() => {
+    if (forces.some(f => f.lod === "density")) scheduleAutoLevels(viewer);
+  });
+}
+
+// Switch a force between one echelon for the whole force and per-subtree density
+export function setLodMode(viewer, force, mode) {
+  if (animating || force.lod === mode) return false;
+  force.lod = mode;
+  if (mode === "level") {
+    // Settle on the echelon for the current zoom
+    const dist = cameraZoomDist(viewer);
+    if (dist !== null) force.level = levelForDist(dist);
+    if (force.visible) transitionToLevel(force, force.level, MERGE_BEEP_FREQ);
+  } else {
+    scheduleAutoLevels(viewer);
+  }
+  notifyUnitsChanged();
+  return true;
+}
+
+// --- Queries ---
+
+export function isAnimating() {
+  return animating;
+}
+
+// Unit and staff entities currently shown on the map
+export function getDisplayedUnits() {
+  return allNodes
+    .filter(n => entitiesById[n.uid].show)
+    .map(n => ({ node: n, entity: entitiesById[n.uid], level: levelOf(n) }));
+}
+
+export function isHostile(node) {
+  return affiliationOf(node) === "hostile";
+}
+
+// Current position of a unit as { lat, lon, alt } (homePosition is drawn 50 m up)
+export function unitLocation(node) {
+  const carto = Cesium.Cartographic.fromCartesian(node.homePosition);
+  return {
+    lat: Cesium.Math.toDegrees(carto.latitude),
+    lon: Cesium.Math.toDegrees(carto.longitude),
+    alt: carto.height - 50,
+  };
+}
+
+// --- Forces ---
+
+export function getForces() {
+  return forces;
+}
+
+export function forceColor(force) {
+  return (AFFILIATIONS[force.affiliation] ?? AFFILIATIONS.friend).stroke;
+}
+
+export function getActiveForce() {
+  return activeForce;
+}
+
+export function setActiveForce(force) {
+  activeForce = force;
+  notifyUnitsChanged();
+}
+
+export function setForceVisible(force, visible) {
+  force.visible = visible;
+  if (animating) return;
+  for (const node of force.nodes) {
+    const entity = entitiesById[node.uid];
+    entity.show = visible && shownAtLevel(node, force.level);
+  }
+  notifyUnitsChanged();
 }
 
 // --- Keyboard ---
 
 export function handleKeydown(event, viewer) {
+  if (!activeForce) return false;
+
   if (event.key === "m" || event.key === "M") {
-    militaryVisible = !militaryVisible;
-    if (!animating) {
-      for (const node of allNodes) {
-        const entity = entitiesById[node.id];
-        if (militaryVisible) {
-          if (node.isStaff) {
-            entity.show = currentLevel < LEVEL_ORDER.indexOf(node.staffOwner.type);
-          } else {
-            entity.show = node.type === LEVEL_ORDER[currentLevel];
-          }
-        } else {
-          entity.show = false;
-        }
-      }
-    }
+    // Toggle the active force only; the ORBAT panel has a toggle per force
+    setForceVisible(activeForce, !activeForce.visible);
+    return true;
+  }
+
+  if (event.key === "f" || event.key === "F") {
+    // Cycle which force the number keys and M apply to
+    setActiveForce(forces[(forces.indexOf(activeForce) + 1) % forces.length]);
+    return true;
+  }
+
+  // 1-9 and 0 pick one of the first ten levels (smallest echelon first);
+  // - and = step down and up through any number of levels
+  let level = null;
+  if (event.key >= "1" && event.key <= "9") level = parseInt(event.key) - 1;
+  else if (event.key === "0") level = 9;
+  else if (event.key === "-") level = activeForce.level - 1;
+  else if (event.key === "=" || event.key === "+") level = activeForce.level + 1;
+  if (level !== null && !event.ctrlKey && !event.metaKey) {
+    if (animating || level < 0 || level >= LEVEL_ORDER.length) return true;
+    // An explicit level replaces density mode and clears the force's manual overrides
+    const wasDensity = activeForce.lod === "density";
+    activeForce.lod = "level";
+    for (const node of activeForce.nodes) delete node.lodOverride;
+    const beepFreq = level > activeForce.level ? MERGE_BEEP_FREQ : UNMERGE_BEEP_FREQ;
+    activeForce.level = level;
+    if (activeForce.visible) transitionToLevel(activeForce, level, beepFreq);
+    else showLevel(activeForce, level);
+    if (wasDensity) notifyUnitsChanged();
     return true;
   }
 
-  if (event.key >= "1" && event.key <= "6") {
-    manualMode = false;
-    const level = parseInt(event.key) - 1;
-    setLevel(level, viewer);
+  if (event.key === "l" || event.key === "L") {
+    setLodMode(viewer, activeForce, activeForce.lod === "density" ? "level" : "density");
     return true;
   }
 
   return false;
 }
 
+// --- Live position reports ---
+
+const FEED_ANIM_DURATION = 1000;
+const feedAnimations = []; // { entity, from, control, to, startTime }
+const reportedNodes = new Set();
+let deferredReports = [];
+
+function findNodeForReport(report) {
+  if (report.force) return nodesById[`${report.force}:${report.id}`] ?? null;
+  for (const force of forces) {
+    const node = nodesById[`${force.id}:${report.id}`];
+    if (node) return node;
+  }
+  return null;
+}
+
+function cancelFeedAnimation(entity) {
+  const i = feedAnimations.findIndex(a => a.entity === entity);
+  if (i >= 0) feedAnimations.splice(i, 1);
+}
+
+// Glide an entity to its new home position along the same bezier arc used for merges
+function startFeedAnimation(node) {
+  const entity = entitiesById[node.uid];
+  const to = node.homePosition;
+  const from = entity.position.getValue(Cesium.JulianDate.now()) ?? to;
+  cancelFeedAnimation(entity);
+  if (!entity.show || Cesium.Cartesian3.equals(from, to)) {
+    entity.position = to;
+    return;
+  }
+  const anim = { entity, from, to, control: computeControlPoint(from, to), startTime: performance.now() };
+  entity.position = new Cesium.CallbackProperty(() => {
+    const t = Math.min(1, (performance.now() - anim.startTime) / FEED_ANIM_DURATION);
+    return quadraticBezier(anim.from, anim.control, anim.to, easeInOutCubic(t), new Cesium.Cartesian3());
+  }, false);
+  feedAnimations.push(anim);
+}
+
+function updateFeedAnimations() {
+  const now = performance.now();
+  for (let i = feedAnimations.length - 1; i >= 0; i--) {
+    const a = feedAnimations[i];
+    if (now - a.startTime >= FEED_ANIM_DURATION) {
+      a.entity.position = a.to;
+      feedAnimations.splice(i, 1);
+    }
+  }
+}
+
+function setStale(node, stale) {
+  node.stale = stale;
+  entitiesById[node.uid].billboard.image = getSymbolImage(node);
+  if (node.isStaff && node.staffOwner.commander === node) {
+    entitiesById[node.staffOwner.uid].billboard.image = getSymbolImage(node.staffOwner);
+  }
+  notifyUnitsChanged();
+}
+
+// Apply a position report { force?, id, lat, lon, alt? }. Returns false for unknown units.
+export function applyPositionReport(report) {
+  const node = findNodeForReport(report);
+  if (!node) return false;
+
+  const owner = node.isStaff && node.staffOwner.commander === node ? node.staffOwner : null;
+  const busy = animations.some(a => a.entity === entitiesById[node.uid]
+    || (owner && a.entity === entitiesById[owner.uid]));
+  if (busy) {
+    // Let the merge/unmerge finish first
+    deferredReports.push(report);
+    return true;
+  }
+
+  // Live reports take over from a recorded track
+  const ti = trackedNodes.indexOf(node);
+  if (ti >= 0) trackedNodes.splice(ti, 1);
+
+  const alt = report.alt ?? node.position?.alt ?? 0;
+  node.position = { lat: report.lat, lon: report.lon, alt };
+  node.homePosition = Cesium.Cartesian3.fromDegrees(report.lon, report.lat, alt + 50);
+  startFeedAnimation(node);
+  if (owner) {
+    // Merged echelon follows its commander
+    owner.homePosition = node.homePosition;
+    startFeedAnimation(owner);
+  }
+
+  // Replayed reports (the server resends the last one per unit on connect) keep their age
+  const reportTime = Date.parse(report.time);
+  node.lastReport = Number.isNaN(reportTime) ? Date.now() : reportTime;
+  reportedNodes.add(node);
+  if (node.stale) setStale(node, false);
+  return true;
+}
+
+// Grey out units that have reported before but not within `staleMs`
+export function updateStaleUnits(staleMs) {
+  const now = Date.now();
+  for (const node of reportedNodes) {
+    const stale = now - node.lastReport > staleMs;
+    if (stale !== !!node.stale) setStale(node, stale);
+  }
+}
+
+function flushDeferredReports() {
+  const reports = deferredReports;
+  deferredReports = [];
+  for (const r of reports) applyPositionReport(r);
+}
+
 // --- Pre-render hook ---
 
 export function setupPreRender(viewer) {
   viewer.scene.preRender.addEventListener(() => {
+    updateTrackedPositions(viewer.clock.currentTime);
     onPreRender();
+    updateFeedAnimations();
+    if (!animating && deferredReports.length > 0) flushDeferredReports();
+    while (!animating && deferredMoves.length > 0) deferredMoves.shift()();
     // Sync line visibility with entity visibility
     for (const node of allNodes) {
-      const line = linesById[node.id];
-      if (line) line.show = entitiesById[node.id].show;
+      const line = linesById[node.uid];
+      if (line) line.show = entitiesById[node.uid].show;
     }
   });
 }
@@ -0,0 +1,200 @@
+import * as Cesium from "cesium";
+import { recordAction } from "./history.js";
+
+// ---------------------------------------------------------------------------
+// Cost areas for the path planner: polygons that are impassable (minefields),
+// to be avoided (villages) or preferred (forest cover). An avoided area's
+// weight multiplies the walking cost inside it, a preferred area's divides
+// it. K opens the panel, where areas are drawn from the red clicked points,
+// edited and deleted; areas can also be imported by dropping a file. They are
+// kept in data/areas.json as { id, name, kind, weight, points: [{ lat, lon }] }.
+// The panel also switches on the terrain's water mask for the planner.
+// ---------------------------------------------------------------------------
+
+// weight: default for new areas (null: impassable, no weight)
+export const AREA_KINDS = {
+  nogo: { label: "Impassable", color: "#FF1744", weight: null },
+  avoid: { label: "Avoid", color: "#FF9100", weight: 3 },
+  prefer: { label: "Prefer", color: "#00E676", weight: 2 },
+};
+
+function saveAreas(areas) {
+  return fetch("/api/save-areas", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ areas }),
+  }).then((res) => {
+    if (!res.ok) throw new Error(`Saving areas failed (${res.status})`);
+  });
+}
+
+// New area from an outline of at least three points
+export function makeArea(points, { name, kind = "avoid", weight } = {}) {
+  const k = AREA_KINDS[kind] ? kind : "avoid";
+  return {
+    id: crypto.randomUUID(),
+    name: name || AREA_KINDS[k].label,
+    kind: k,
+    weight: k === "nogo" ? null : Number(weight) >= 1 ? Number(weight) : AREA_KINDS[k].weight,
+    points: points.map(({ lat, lon }) => ({ lat, lon })),
+  };
+}
+
+// `newFromClicked()` is called by the panel's "From red points" button
+export function setupCostAreas(viewer, { newFromClicked }) {
+  const panel = document.getElementById("areas-panel");
+  const list = document.getElementById("areas-list");
+  const waterInput = panel.querySelector("[name=water]");
+
+  let areas = [];
+  const entities = new Map(); // area id -> [polygon, outline]
+
+  function draw(area) {
+    const color = Cesium.Color.fromCssColorString(AREA_KINDS[area.kind].color);
+    const positions = area.points.map(p => Cesium.Cartesian3.fromDegrees(p.lon, p.lat));
+    entities.set(area.id, [
+      viewer.entities.add({
+        polygon: {
+          hierarchy: new Cesium.PolygonHierarchy(positions),
+          material: color.withAlpha(0.25),
+          classificationType: Cesium.ClassificationType.TERRAIN,
+        },
+      }),
+      viewer.entities.add({
+        polyline: {
+          positions: [...positions, positions[0]],
+          width: 2,
+          material: color,
+          clampToGround: true,
+        },
+      }),
+    ]);
+  }
+
+  function flyTo(area) {
+    const rectangle = Cesium.Rectangle.fromCartographicArray(
+      area.points.map(p => Cesium.Cartographic.fromDegrees(p.lon, p.lat)),
+    );
+    viewer.camera.flyTo({ destination: rectangle });
+  }
+
+  function makeRow(area) {
+    const row = document.createElement("div");
+    row.className = "areas-row";
+
+    const swatch = document.createElement("span");
+    swatch.className = "areas-swatch";
+    swatch.style.background = AREA_KINDS[area.kind].color;
+    row.appendChild(swatch);
+
+    const name = document.createElement("span");
+    name.className = "areas-name";
+    name.textContent = area.name;
+    name.title = "Fly to area";
+    name.addEventListener("click", () => flyTo(area));
+    row.appendChild(name);
+
+    const kind = document.createElement("select");
+    for (const [id, { label }] of Object.entries(AREA_KINDS)) kind.add(new Option(label, id));
+    kind.value = area.kind;
+    kind.addEventListener("change", () => {
+      const weight = kind.value === "nogo" ? null : area.weight ?? AREA_KINDS[kind.value].weight;
+      change(`Set ${area.name} to ${AREA_KINDS[kind.value].label.toLowerCase()}`,
+        areas.map(a => (a.id === area.id ? { ...a, kind: kind.value, weight } : a)));
+    });
+    row.appendChild(kind);
+
+    const weight = document.createElement("input");
+    weight.type = "number";
+    weight.min = "1";
+    weight.step = "0.5";
+    weight.title = "Weight";
+    weight.disabled = area.kind === "nogo";
+    weight.value = area.weight ?? "";
+    weight.addEventListener("change", () => {
+      const value = Number(weight.value);
+      if (!(value >= 1)) {
+        weight.value = area.weight;
+        return;
+      }
+      change(`Set ${area.name} weight`, areas.map(a => (a.id === area.id ? { ...a, weight: value } : a)));
+    });
+    row.appendChild(weight);
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.textContent = "✕";
+    remove.title = "Delete area";
+    remove.addEventListener("click", () => change(`Delete area ${area.name}`, areas.filter(a => a.id !== area.id)));
+    row.appendChild(remove);
+    return row;
+  }
+
+  function render() {
+    for (const pair of entities.values()) for (const e of pair) viewer.entities.remove(e);
+    entities.clear();
+    for (const area of areas) draw(area);
+    list.replaceChildren(...areas.map(makeRow));
+    if (areas.length === 0) list.textContent = "No areas";
+  }
+
+  // Show and store `next`. Resolves to whether the file took it; when it did
+  // not, the list from before comes back.
+  function setAreas(next) {
+    const before = areas;
+    areas = next;
+    render();
+    return saveAreas(areas).then(() => true, (e) => {
+      console.error(e.message);
+      if (areas === next) {
+        areas = before;
+        render();
+      }
+      return false;
+    });
+  }
+
+  // A change of the area list, undoable once stored
+  function change(label, next) {
+    const before = areas;
+    return setAreas(next).then((ok) => {
+      if (ok) recordAction({ label, undo: () => setAreas(before), redo: () => setAreas(next) });
+      return ok;
+    });
+  }
+
+  panel.querySelector("[name=fromClicked]").addEventListener("click", () => newFromClicked());
+  // Keep typing in the fields out of the map shortcuts
+  panel.addEventListener("keydown", (event) => {
+    event.stopPropagation();
+    if (event.key === "Escape") panel.hidden = true;
+  });
+
+  fetch("/data/areas.json")
+    .then(res => (res.ok ? res.json() : []))
+    .catch(() => [])
+    .then((loaded) => {
+      areas = loaded;
+      render();
+    });
+
+  return {
+    get areas() {
+      return areas;
+    },
+    // Whether the planner treats water as impassable
+    get water() {
+      return waterInput.checked;
+    },
+    setAreas,
+    // Add imported areas as one undoable step
+    importAreas(imported, fileName) {
+      change(`Import ${fileName}`, [...areas, ...imported]).then((ok) => {
+        if (ok) console.log(`Imported ${imported.length} area(s) from ${fileName}`);
+      });
+    },
+    toggle() {
+      panel.hidden = !panel.hidden;
+    },
+  };
+}
@@ -0,0 +1,160 @@
+import * as Cesium from "cesium";
+import { getDisplayedUnits, isAnimating, SYMBOL_SIZE, LABEL_OFFSET_Y } from "./clustering.js";
+
+// ---------------------------------------------------------------------------
+// Screen-space decluttering: units at the same echelon whose symbols overlap
+// on screen are fanned out around their common centre with pixel offsets, and
+// a leader line joins each symbol to its true position. Entity positions are
+// never touched, so merge/unmerge animations and parent arcs are unaffected;
+// offsets simply relax to zero while an animation runs.
+// ---------------------------------------------------------------------------
+
+const OVERLAP_PX = SYMBOL_SIZE * 0.8;
+const FAN_SPACING_PX = SYMBOL_SIZE * 0.9; // arc length between fanned symbols
+const RETARGET_MS = 100;
+const EASE = 0.25; // fraction of the remaining offset applied per frame
+
+const scratchScreen = new Cesium.Cartesian2();
+const scratchCarto = new Cesium.Cartographic();
+const scratchGround = new Cesium.Cartesian3();
+
+// Where the symbol is drawn: billboards are clamped to the ground, below the
+// entity position (which is kept 50 m up). Until the terrain under it has
+// loaded, the entity position stands in.
+function screenPosition(scene, entity, time) {
+  let pos = entity.position.getValue(time);
+  if (!pos) return null;
+  const carto = Cesium.Cartographic.fromCartesian(pos, undefined, scratchCarto);
+  const height = carto && scene.globe.getHeight(carto);
+  if (height !== undefined) {
+    pos = Cesium.Cartesian3.fromRadians(carto.longitude, carto.latitude, height, undefined, scratchGround);
+  }
+  const win = Cesium.SceneTransforms.worldToWindowCoordinates(scene, pos, scratchScreen);
+  return win ? { x: win.x, y: win.y } : null;
+}
+
+// Group overlapping items (union-find over all close pairs)
+function findClusters(items) {
+  const parent = items.map((_, i) => i);
+  const root = (i) => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      const dx = items[i].screen.x - items[j].screen.x;
+      const dy = items[i].screen.y - items[j].screen.y;
+      if (dx * dx + dy * dy < OVERLAP_PX * OVERLAP_PX) parent[root(i)] = root(j);
+    }
+  }
+  const clusters = new Map();
+  items.forEach((item, i) => {
+    const r = root(i);
+    if (!clusters.has(r)) clusters.set(r, []);
+    clusters.get(r).push(item);
+  });
+  return [...clusters.values()].filter(c => c.length > 1);
+}
+
+export function setupDeclutter(viewer) {
+  const scene = viewer.scene;
+  const overlay = document.createElement("canvas");
+  overlay.style.cssText = "position:absolute;top:0;left:0;pointer-events:none;z-index:1";
+  viewer.container.appendChild(overlay);
+  const ctx = overlay.getContext("2d");
+
+  let enabled = true;
+  let lastRetarget = 0;
+  const offsets = new Map(); // entity -> { x, y, tx, ty }
+
+  function retarget(time) {
+    for (const o of offsets.values()) { o.tx = 0; o.ty = 0; }
+    if (!enabled || isAnimating()) return;
+
+    const byLevel = new Map();
+    for (const unit of getDisplayedUnits()) {
+      const screen = screenPosition(scene, unit.entity, time);
+      if (!screen) continue;
+      if (!byLevel.has(unit.level)) byLevel.set(unit.level, []);
+      byLevel.get(unit.level).push({ ...unit, screen });
+    }
+
+    for (const items of byLevel.values()) {
+      for (const cluster of findClusters(items)) {
+        const cx = cluster.reduce((s, u) => s + u.screen.x, 0) / cluster.length;
+        const cy = cluster.reduce((s, u) => s + u.screen.y, 0) / cluster.length;
+        const radius = Math.max(FAN_SPACING_PX * 0.75, cluster.length * FAN_SPACING_PX / (2 * Math.PI));
+        // Keep each unit on its own side of the centre to avoid crossing leader lines
+        cluster.sort((a, b) =>
+          Math.atan2(a.screen.y - cy, a.screen.x - cx) - Math.atan2(b.screen.y - cy, b.screen.x - cx)
+          || a.node.uid.localeCompare(b.node.uid));
+        const start = Math.atan2(cluster[0].screen.y - cy, cluster[0].screen.x - cx);
+        cluster.forEach((u, i) => {
+          const angle = start + (i * 2 * Math.PI) / cluster.length;
+          let o = offsets.get(u.entity);
+          if (!o) offsets.set(u.entity, (o = { x: 0, y: 0, tx: 0, ty: 0 }));
+          o.tx = cx + radius * Math.cos(angle) - u.screen.x;
+          o.ty = cy + radius * Math.sin(angle) - u.screen.y;
+        });
+      }
+    }
+  }
+
+  function applyOffset(entity, x, y) {
+    entity.billboard.pixelOffset = new Cesium.Cartesian2(x, y);
+    entity.label.pixelOffset = new Cesium.Cartesian2(x, LABEL_OFFSET_Y + y);
+  }
+
+  function drawLeaderLines(time) {
+    const w = scene.canvas.clientWidth, h = scene.canvas.clientHeight;
+    if (overlay.width !== w || overlay.height !== h) {
+      overlay.width = w;
+      overlay.height = h;
+    }
+    ctx.clearRect(0, 0, w, h);
+    ctx.strokeStyle = "rgba(255,255,255,0.8)";
+    ctx.fillStyle = "rgba(255,255,255,0.9)";
+    ctx.lineWidth = 1.5;
+    for (const [entity, o] of offsets) {
+      if (!entity.show || Math.hypot(o.x, o.y) < 4) continue;
+      const anchor = screenPosition(scene, entity, time);
+      if (!anchor) continue;
+      ctx.beginPath();
+      ctx.moveTo(anchor.x, anchor.y);
+      ctx.lineTo(anchor.x + o.x, anchor.y + o.y);
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.arc(anchor.x, anchor.y, 2.5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
+  scene.preRender.addEventListener(() => {
+    const time = Cesium.JulianDate.now();
+    const now = performance.now();
+    if (now - lastRetarget > RETARGET_MS || isAnimating()) {
+      retarget(time);
+      lastRetarget = now;
+    }
+
+    for (const [entity, o] of offsets) {
+      const nx = o.x + (o.tx - o.x) * EASE;
+      const ny = o.y + (o.ty - o.y) * EASE;
+      const settled = Math.abs(nx - o.tx) < 0.1 && Math.abs(ny - o.ty) < 0.1;
+      if (settled && o.tx === 0 && o.ty === 0) {
+        applyOffset(entity, 0, 0);
+        offsets.delete(entity);
+        continue;
+      }
+      if (Math.abs(nx - o.x) < 0.05 && Math.abs(ny - o.y) < 0.05) continue;
+      o.x = nx;
+      o.y = ny;
+      applyOffset(entity, nx, ny);
+    }
+
+    drawLeaderLines(time);
+  });
+
+  return {
+    toggle() {
+      enabled = !enabled;
+    },
+  };
+}
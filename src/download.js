@@ -0,0 +1,21 @@
+// ---------------------------------------------------------------------------
+// Saving generated files (exports, tables, recordings) through the browser's
+// download prompt.
+// ---------------------------------------------------------------------------
+
+// Some browsers start reading the blob only after click() returns
+const REVOKE_DELAY_MS = 60000;
+
+// `name` reduced to characters that are safe in a file name
+export function fileNameFor(name, fallback = "export") {
+  return name.replace(/[^\w-]+/g, "_").replace(/^_+|_+$/g, "") || fallback;
+}
+
+export function download(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+}
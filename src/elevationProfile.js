@@ -0,0 +1,289 @@
+import * as Cesium from "cesium";
+
+// ---------------------------------------------------------------------------
+// Elevation profile panel. The line is resampled along its whole length (not
+// just at the vertices) against the terrain; the chart shows elevation over
+// distance, coloured by slope, with the line's waypoints marked. Hovering the
+// chart moves a marker along the line on the globe.
+// ---------------------------------------------------------------------------
+
+const TARGET_SAMPLES = 400;
+const MIN_SPACING_M = 5;
+const PAD = { left: 44, right: 10, top: 18, bottom: 20 };
+
+// Slope classes by absolute grade in percent
+const SLOPE_CLASSES = [
+  { max: 5, color: "#4CAF50" },
+  { max: 15, color: "#CDDC39" },
+  { max: 30, color: "#FF9800" },
+  { max: Infinity, color: "#F44336" },
+];
+
+function slopeColor(grade) {
+  return SLOPE_CLASSES.find(c => Math.abs(grade) < c.max).color;
+}
+
+// Points every `spacing` metres along the geodesic legs, keeping the vertices;
+// returns the points and the sample index of each vertex
+function densify(points) {
+  const legs = [];
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    const geodesic = new Cesium.EllipsoidGeodesic(
+      Cesium.Cartographic.fromDegrees(points[i - 1].lon, points[i - 1].lat),
+      Cesium.Cartographic.fromDegrees(points[i].lon, points[i].lat),
+    );
+    legs.push(geodesic);
+    total += geodesic.surfaceDistance;
+  }
+  const spacing = Math.max(MIN_SPACING_M, total / TARGET_SAMPLES);
+  const samples = [Cesium.Cartographic.fromDegrees(points[0].lon, points[0].lat)];
+  const vertexIndex = [0];
+  for (const geodesic of legs) {
+    const steps = Math.max(1, Math.ceil(geodesic.surfaceDistance / spacing));
+    for (let s = 1; s <= steps; s++) {
+      samples.push(geodesic.interpolateUsingFraction(s / steps));
+    }
+    vertexIndex.push(samples.length - 1);
+  }
+  return { samples, vertexIndex };
+}
+
+function buildProfile(sampled) {
+  const dist = [0];
+  for (let i = 1; i < sampled.length; i++) {
+    const geodesic = new Cesium.EllipsoidGeodesic(sampled[i - 1], sampled[i]);
+    dist.push(dist[i - 1] + geodesic.surfaceDistance);
+  }
+  const elev = sampled.map(c => c.height ?? 0);
+  let climb = 0, descent = 0;
+  for (let i = 1; i < elev.length; i++) {
+    const dh = elev[i] - elev[i - 1];
+    if (dh > 0) climb += dh; else descent -= dh;
+  }
+  return { points: sampled, dist, elev, climb, descent };
+}
+
+function niceStep(range, count) {
+  const raw = range / count;
+  const mag = 10 ** Math.floor(Math.log10(raw));
+  return [1, 2, 5, 10].map(m => m * mag).find(s => s >= raw);
+}
+
+export function setupElevationProfile(viewer) {
+  const panel = document.getElementById("profile-panel");
+  const title = document.getElementById("profile-title");
+  const canvas = document.getElementById("profile-canvas");
+  const ctx = canvas.getContext("2d");
+
+  let line = null; // { name, points: [{ lat, lon }], markers: [{ index, name }], source }
+  let profile = null;
+  let markers = []; // [{ dist, name }]
+  let hoverIndex = null;
+  let request = 0; // newest sampling request, so stale results are dropped
+
+  const hoverEntity = viewer.entities.add({
+    show: false,
+    position: Cesium.Cartesian3.ZERO,
+    point: {
+      pixelSize: 10,
+      color: Cesium.Color.YELLOW,
+      outlineColor: Cesium.Color.BLACK,
+      outlineWidth: 2,
+      disableDepthTestDistance: Number.POSITIVE_INFINITY,
+    },
+    label: {
+      text: "",
+      font: "14px sans-serif",
+      fillColor: Cesium.Color.YELLOW,
+      outlineColor: Cesium.Color.BLACK,
+      outlineWidth: 3,
+      style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+      pixelOffset: new Cesium.Cartesian2(0, -20),
+      disableDepthTestDistance: Number.POSITIVE_INFINITY,
+    },
+  });
+
+  function layout() {
+    const w = canvas.clientWidth, h = canvas.clientHeight;
+    const dpr = window.devicePixelRatio || 1;
+    if (canvas.width !== w * dpr || canvas.height !== h * dpr) {
+      canvas.width = w * dpr;
+      canvas.height = h * dpr;
+    }
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    const minElev = Math.min(...profile.elev), maxElev = Math.max(...profile.elev);
+    const span = Math.max(maxElev - minElev, 20);
+    const lo = minElev - span * 0.05, hi = minElev + span * 1.05;
+    const total = profile.dist[profile.dist.length - 1] || 1;
+    return {
+      w, h, lo, hi, total,
+      x: d => PAD.left + (d / total) * (w - PAD.left - PAD.right),
+      y: e => h - PAD.bottom - ((e - lo) / (hi - lo)) * (h - PAD.top - PAD.bottom),
+    };
+  }
+
+  function draw() {
+    if (!profile) return;
+    const { w, h, lo, hi, total, x, y } = layout();
+    const { dist, elev } = profile;
+    ctx.clearRect(0, 0, w, h);
+    ctx.font = "11px sans-serif";
+
+    // Grid and axes
+    ctx.strokeStyle = "rgba(255,255,255,0.12)";
+    ctx.fillStyle = "rgba(255,255,255,0.6)";
+    ctx.lineWidth = 1;
+    const eStep = niceStep(hi - lo, 4);
+    ctx.textAlign = "right";
+    ctx.textBaseline = "middle";
+    for (let e = Math.ceil(lo / eStep) * eStep; e <= hi; e += eStep) {
+      ctx.beginPath();
+      ctx.moveTo(PAD.left, y(e));
+      ctx.lineTo(w - PAD.right, y(e));
+      ctx.stroke();
+      ctx.fillText(`${Math.round(e)} m`, PAD.left - 4, y(e));
+    }
+    const dStep = niceStep(total, 6);
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    for (let d = 0; d <= total; d += dStep) {
+      ctx.fillText(total >= 2000 ? `${(d / 1000).toFixed(dStep < 1000 ? 1 : 0)} km` : `${d} m`, x(d), h - PAD.bottom + 4);
+    }
+
+    // Slope-coloured area and outline
+    for (let i = 1; i < dist.length; i++) {
+      const run = dist[i] - dist[i - 1];
+      const grade = run > 0 ? ((elev[i] - elev[i - 1]) / run) * 100 : 0;
+      ctx.fillStyle = slopeColor(grade);
+      ctx.globalAlpha = 0.55;
+      ctx.beginPath();
+      ctx.moveTo(x(dist[i - 1]), y(lo));
+      ctx.lineTo(x(dist[i - 1]), y(elev[i - 1]));
+      ctx.lineTo(x(dist[i]), y(elev[i]));
+      ctx.lineTo(x(dist[i]), y(lo));
+      ctx.closePath();
+      ctx.fill();
+      ctx.globalAlpha = 1;
+      ctx.strokeStyle = slopeColor(grade);
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(x(dist[i - 1]), y(elev[i - 1]));
+      ctx.lineTo(x(dist[i]), y(elev[i]));
+      ctx.stroke();
+    }
+
+    // Waypoints
+    ctx.setLineDash([3, 3]);
+    ctx.strokeStyle = "rgba(255,255,255,0.7)";
+    ctx.fillStyle = "#fff";
+    ctx.lineWidth = 1;
+    ctx.textBaseline = "bottom";
+    for (const m of markers) {
+      ctx.beginPath();
+      ctx.moveTo(x(m.dist), PAD.top);
+      ctx.lineTo(x(m.dist), h - PAD.bottom);
+      ctx.stroke();
+      ctx.fillText(m.name, x(m.dist), PAD.top - 2);
+    }
+    ctx.setLineDash([]);
+
+    // Hover cursor
+    if (hoverIndex !== null) {
+      const d = dist[hoverIndex], e = elev[hoverIndex];
+      ctx.strokeStyle = "#FFEB3B";
+      ctx.beginPath();
+      ctx.moveTo(x(d), PAD.top);
+      ctx.lineTo(x(d), h - PAD.bottom);
+      ctx.stroke();
+      ctx.fillStyle = "#FFEB3B";
+      ctx.beginPath();
+      ctx.arc(x(d), y(e), 4, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
+  // Distance, elevation and grade of the sample's incoming leg
+  function describeHover(i) {
+    const { dist, elev } = profile;
+    const k = Math.max(i, 1);
+    const run = dist[k] - dist[k - 1];
+    const grade = run > 0 ? ((elev[k] - elev[k - 1]) / run) * 100 : 0;
+    return `${(dist[i] / 1000).toFixed(2)} km  ${Math.round(elev[i])} m  ${grade.toFixed(0)}%`;
+  }
+
+  canvas.addEventListener("mousemove", (event) => {
+    if (!profile) return;
+    const rect = canvas.getBoundingClientRect();
+    const { total } = layout();
+    const frac = (event.clientX - rect.left - PAD.left) / (rect.width - PAD.left - PAD.right);
+    const target = Math.min(Math.max(frac, 0), 1) * total;
+    // Nearest sample by distance (dist is sorted)
+    let lo = 0, hi = profile.dist.length - 1;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (profile.dist[mid] < target) lo = mid; else hi = mid;
+    }
+    hoverIndex = target - profile.dist[lo] < profile.dist[hi] - target ? lo : hi;
+    const c = profile.points[hoverIndex];
+    hoverEntity.position = Cesium.Cartesian3.fromRadians(c.longitude, c.latitude, c.height ?? 0);
+    hoverEntity.label.text = describeHover(hoverIndex);
+    hoverEntity.show = true;
+    draw();
+  });
+
+  canvas.addEventListener("mouseleave", () => {
+    hoverIndex = null;
+    hoverEntity.show = false;
+    draw();
+  });
+
+  window.addEventListener("resize", draw);
+
+  async function show(newLine) {
+    line = newLine;
+    profile = null;
+    markers = [];
+    hoverIndex = null;
+    hoverEntity.show = false;
+    panel.hidden = false;
+    title.textContent = `${line.name}: sampling terrain…`;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    const id = ++request;
+    const { samples, vertexIndex } = densify(line.points);
+    let sampled;
+    try {
+      sampled = await Cesium.sampleTerrainMostDetailed(viewer.terrainProvider, samples);
+    } catch (e) {
+      if (id === request && line === newLine) title.textContent = `${line.name}: ${e.message}`;
+      return;
+    }
+    if (id !== request || line !== newLine) return;
+
+    profile = buildProfile(sampled);
+    markers = (line.markers ?? []).map(m => ({ dist: profile.dist[vertexIndex[m.index]], name: m.name }));
+    const total = profile.dist[profile.dist.length - 1];
+    title.textContent = `${line.name}: ${(total / 1000).toFixed(2)} km, `
+      + `+${Math.round(profile.climb)} m / -${Math.round(profile.descent)} m, `
+      + `${Math.round(Math.min(...profile.elev))}–${Math.round(Math.max(...profile.elev))} m`;
+    draw();
+  }
+
+  function hide() {
+    request++;
+    line = null;
+    profile = null;
+    hoverEntity.show = false;
+    panel.hidden = true;
+  }
+
+  return {
+    show,
+    hide,
+    // What the panel currently shows (the object passed to show), or null
+    get line() {
+      return line;
+    },
+  };
+}
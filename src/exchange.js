@@ -0,0 +1,161 @@
+import * as Cesium from "cesium";
+import { getForces, unitLocation } from "./clustering.js";
+import { FORMATS, serialize, parseRoutes, parseAreas } from "./geoFormats.js";
+import { makeArea } from "./costAreas.js";
+import { download, fileNameFor } from "./download.js";
+
+// ---------------------------------------------------------------------------
+// Route and unit exchange with GPS handhelds and GIS tools. G opens the export
+// form (saved routes, the red clicked route, the lime planned path or the unit
+// tree as GPX, KML or GeoJSON); dropping a file on the globe imports its lines
+// as saved routes and its polygons as planner cost areas. Missing elevations
+// are sampled from terrain both ways.
+// ---------------------------------------------------------------------------
+
+const form = document.getElementById("export-dialog");
+const sourceSelect = form.querySelector("[name=source]");
+const formatSelect = form.querySelector("[name=format]");
+
+// Fill in alt from terrain wherever it is null; points are updated in place
+async function fillElevations(viewer, points) {
+  const missing = points.filter(p => p.alt === null || p.alt === undefined);
+  if (missing.length === 0) return;
+  const cartographics = missing.map(p => Cesium.Cartographic.fromDegrees(p.lon, p.lat));
+  const sampled = await Cesium.sampleTerrainMostDetailed(viewer.terrainProvider, cartographics);
+  sampled.forEach((c, i) => { missing[i].alt = c.height ?? 0; });
+}
+
+function unitTree() {
+  const units = [];
+  for (const force of getForces()) {
+    for (const node of force.nodes) {
+      units.push({
+        uid: node.uid,
+        name: node.name,
+        type: node.type,
+        force: force.id,
+        parent: node.parent?.uid ?? null,
+        ...unitLocation(node),
+      });
+    }
+  }
+  return units;
+}
+
+// `sources` supplies what can be exported:
+//   savedRoutes()  -> saved route objects (waypoints with their display names)
+//   clickedRoute() -> [{ lat, lon, alt }] of the red route
+//   plannedPath()  -> Cartesian3[] of the lime path, or null
+// `importRoutes(routes, fileName)` stores parsed routes (all elevations filled),
+// `importAreas(areas, fileName)` parsed polygons (see costAreas.js).
+export function setupExchange(viewer, sources, importRoutes, importAreas) {
+  for (const [id, { label }] of Object.entries(FORMATS)) {
+    formatSelect.add(new Option(label, id));
+  }
+
+  // id -> { label, data() }; data() resolves to { routes?, units? } for serialize()
+  let choices = new Map();
+
+  function collectChoices() {
+    choices = new Map();
+    const saved = sources.savedRoutes();
+    if (saved.length > 0) {
+      choices.set("routes", { label: "All saved routes", data: () => ({ routes: saved }) });
+    }
+    for (const route of saved) {
+      choices.set(`route:${route.id}`, { label: `Route ${route.name}`, data: () => ({ routes: [route] }) });
+    }
+    const clicked = sources.clickedRoute();
+    if (clicked.length >= 2) {
+      choices.set("clicked", { label: "Red clicked route", data: () => ({ routes: [{ name: "Clicked route", waypoints: clicked }] }) });
+    }
+    const path = sources.plannedPath();
+    if (path) {
+      choices.set("path", {
+        label: "Planned path",
+        data: async () => {
+          // The path is drawn clamped to the ground, so its points carry no height
+          const waypoints = path.map((p) => {
+            const c = Cesium.Cartographic.fromCartesian(p);
+            return { lat: Cesium.Math.toDegrees(c.latitude), lon: Cesium.Math.toDegrees(c.longitude), alt: null };
+          });
+          await fillElevations(viewer, waypoints);
+          return { routes: [{ name: "Planned path", waypoints }] };
+        },
+      });
+    }
+    if (getForces().length > 0) {
+      choices.set("units", { label: "Unit tree", data: () => ({ units: unitTree() }) });
+    }
+  }
+
+  function open() {
+    collectChoices();
+    const previous = sourceSelect.value;
+    sourceSelect.replaceChildren(...[...choices].map(([id, c]) => new Option(c.label, id)));
+    if (choices.has(previous)) sourceSelect.value = previous;
+    form.hidden = false;
+    sourceSelect.focus();
+  }
+
+  function close() {
+    form.hidden = true;
+  }
+
+  form.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const choice = choices.get(sourceSelect.value);
+    if (!choice) return;
+    const format = formatSelect.value;
+    close();
+    try {
+      const text = serialize(format, await choice.data());
+      download(new Blob([text], { type: FORMATS[format].mime }), `${fileNameFor(choice.label)}.${format}`);
+      console.log(`Exported ${choice.label} as ${FORMATS[format].label}`);
+    } catch (e) {
+      console.error("Export error:", e);
+    }
+  });
+  form.querySelector("[name=cancel]").addEventListener("click", close);
+  form.addEventListener("keydown", (event) => {
+    event.stopPropagation();
+    if (event.key === "Escape") close();
+  });
+
+  // --- Drop import ---
+
+  const canvas = viewer.scene.canvas;
+  canvas.addEventListener("dragover", (event) => {
+    if (!event.dataTransfer.types.includes("Files")) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = "copy";
+  });
+  canvas.addEventListener("drop", async (event) => {
+    event.preventDefault();
+    for (const file of event.dataTransfer.files) {
+      try {
+        const text = await file.text();
+        const routes = parseRoutes(file.name, text);
+        // Polygons carry their kind and weight as properties (KML: ExtendedData)
+        const areas = parseAreas(file.name, text)
+          .map(a => makeArea(a.points, { ...a, name: a.name || file.name.replace(/\.[^.]+$/, "") }));
+        if (routes.length === 0 && areas.length === 0) {
+          console.warn(`${file.name}: no routes with at least two points and no polygons`);
+          continue;
+        }
+        if (areas.length > 0) importAreas(areas, file.name);
+        if (routes.length === 0) continue;
+        await fillElevations(viewer, routes.flatMap(r => r.waypoints));
+        await importRoutes(routes, file.name);
+      } catch (e) {
+        console.error(`Import of ${file.name} failed:`, e);
+      }
+    }
+  });
+
+  return {
+    toggle() {
+      if (form.hidden) open(); else close();
+    },
+  };
+}
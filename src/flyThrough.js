@@ -0,0 +1,301 @@
+import * as Cesium from "cesium";
+import { download, fileNameFor } from "./download.js";
+
+// ---------------------------------------------------------------------------
+// Route fly-through for briefings: the camera follows a saved route or the
+// planned path at a set height above the terrain, looking at a point further
+// along the line. Waypoint callouts are drawn as labels on the globe so that
+// a recording of the canvas (MediaRecorder, downloaded as WebM) shows them.
+// ---------------------------------------------------------------------------
+
+const SAMPLE_SPACING_M = 20;
+const MAX_SAMPLES = 2000;
+const TERRAIN_SMOOTHING = 5; // samples either side in the height moving average
+const HEADING_EASE = 0.08; // fraction of the heading error corrected per frame
+const CALLOUT_MS = 3000;
+const RECORD_FPS = 30;
+
+function bearing(a, b) {
+  const dLon = b.longitude - a.longitude;
+  const y = Math.sin(dLon) * Math.cos(b.latitude);
+  const x = Math.cos(a.latitude) * Math.sin(b.latitude)
+    - Math.sin(a.latitude) * Math.cos(b.latitude) * Math.cos(dLon);
+  return Math.atan2(y, x);
+}
+
+// Resample the line every SAMPLE_SPACING_M with smoothed terrain heights;
+// returns { points: Cartographic[], dist: [], markers: [{ dist, name, point }] }
+async function buildTrack(terrainProvider, line) {
+  const legs = [];
+  let total = 0;
+  for (let i = 1; i < line.points.length; i++) {
+    const g = new Cesium.EllipsoidGeodesic(
+      Cesium.Cartographic.fromDegrees(line.points[i - 1].lon, line.points[i - 1].lat),
+      Cesium.Cartographic.fromDegrees(line.points[i].lon, line.points[i].lat),
+    );
+    legs.push(g);
+    total += g.surfaceDistance;
+  }
+  const spacing = Math.max(SAMPLE_SPACING_M, total / MAX_SAMPLES);
+  const points = [legs[0].start];
+  const dist = [0];
+  const vertexDist = [0];
+  for (const g of legs) {
+    const steps = Math.max(1, Math.ceil(g.surfaceDistance / spacing));
+    const base = dist[dist.length - 1];
+    for (let s = 1; s <= steps; s++) {
+      points.push(g.interpolateUsingFraction(s / steps));
+      dist.push(base + (g.surfaceDistance * s) / steps);
+    }
+    vertexDist.push(dist[dist.length - 1]);
+  }
+  const sampled = await Cesium.sampleTerrainMostDetailed(terrainProvider, points);
+  const raw = sampled.map(c => c.height ?? 0);
+  sampled.forEach((c, i) => {
+    const from = Math.max(0, i - TERRAIN_SMOOTHING), to = Math.min(raw.length - 1, i + TERRAIN_SMOOTHING);
+    let sum = 0;
+    for (let j = from; j <= to; j++) sum += raw[j];
+    // Never dip below the ground under the camera
+    c.height = Math.max(raw[i], sum / (to - from + 1));
+  });
+  const markers = (line.markers ?? []).map(m => ({
+    dist: vertexDist[m.index],
+    name: m.name,
+    point: sampled[Math.min(sampled.length - 1, dist.indexOf(vertexDist[m.index]))],
+  }));
+  return { points: sampled, dist, markers };
+}
+
+// Cartographic at distance `d` along the track
+function pointAt(track, d, result = new Cesium.Cartographic()) {
+  const { points, dist } = track;
+  if (d <= 0) return Cesium.Cartographic.clone(points[0], result);
+  if (d >= dist[dist.length - 1]) return Cesium.Cartographic.clone(points[points.length - 1], result);
+  let lo = 0, hi = dist.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (dist[mid] <= d) lo = mid; else hi = mid;
+  }
+  const t = (d - dist[lo]) / (dist[hi] - dist[lo]);
+  result.longitude = Cesium.Math.lerp(points[lo].longitude, points[hi].longitude, t);
+  result.latitude = Cesium.Math.lerp(points[lo].latitude, points[hi].latitude, t);
+  result.height = Cesium.Math.lerp(points[lo].height, points[hi].height, t);
+  return result;
+}
+
+export function setupFlyThrough(viewer) {
+  const panel = document.getElementById("flythrough-panel");
+  const title = document.getElementById("flythrough-title");
+  const heightInput = panel.querySelector("[name=height]");
+  const speedInput = panel.querySelector("[name=speed]");
+  const lookAheadInput = panel.querySelector("[name=lookAhead]");
+  const playButton = panel.querySelector("[name=play]");
+  const recordButton = panel.querySelector("[name=record]");
+  const progress = panel.querySelector("[name=progress]");
+
+  let line = null;
+  let track = null;
+  let request = 0;
+  let travelled = 0;
+  let playing = false;
+  let lastFrame = null;
+  let heading = null;
+  let nextMarker = 0;
+  let recorder = null;
+
+  const here = new Cesium.Cartographic();
+  const ahead = new Cesium.Cartographic();
+
+  const callout = viewer.entities.add({
+    show: false,
+    position: Cesium.Cartesian3.ZERO,
+    label: {
+      text: "",
+      font: "bold 28px sans-serif",
+      fillColor: Cesium.Color.WHITE,
+      outlineColor: Cesium.Color.BLACK,
+      outlineWidth: 4,
+      style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+      verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+      pixelOffset: new Cesium.Cartesian2(0, -20),
+      disableDepthTestDistance: Number.POSITIVE_INFINITY,
+    },
+  });
+  let calloutUntil = 0;
+
+  function setting(input, fallback) {
+    const v = Number(input.value);
+    return Number.isFinite(v) && v >= 0 ? v : fallback;
+  }
+
+  function setPlaying(value) {
+    playing = value;
+    lastFrame = null;
+    playButton.textContent = playing ? "Pause" : "Play";
+    // The tour owns the camera while it runs
+    viewer.scene.screenSpaceCameraController.enableInputs = !playing;
+  }
+
+  function showCallout(marker) {
+    callout.position = Cesium.Cartesian3.fromRadians(marker.point.longitude, marker.point.latitude, marker.point.height);
+    callout.label.text = marker.name;
+    callout.show = true;
+    calloutUntil = performance.now() + CALLOUT_MS;
+  }
+
+  function placeCamera(frameMs) {
+    const height = setting(heightInput, 300);
+    const lookAhead = Math.max(50, setting(lookAheadInput, 500));
+    pointAt(track, travelled, here);
+    // Near the end, keep looking the way the line last went
+    const total = track.dist[track.dist.length - 1];
+    const aheadDist = Math.min(travelled + lookAhead, total);
+    pointAt(track, aheadDist, ahead);
+    if (aheadDist - travelled > 1) {
+      const target = bearing(here, ahead);
+      if (heading === null) heading = target;
+      const error = Cesium.Math.negativePiToPi(target - heading);
+      heading += error * Math.min(1, HEADING_EASE * (frameMs / 16.7));
+    }
+    const cameraHeight = here.height + height;
+    const pitch = Math.atan2(ahead.height - cameraHeight, Math.max(aheadDist - travelled, lookAhead));
+    viewer.camera.setView({
+      destination: Cesium.Cartesian3.fromRadians(here.longitude, here.latitude, cameraHeight),
+      orientation: { heading: heading ?? 0, pitch, roll: 0 },
+    });
+    progress.value = total > 0 ? travelled / total : 0;
+  }
+
+  viewer.scene.preRender.addEventListener(() => {
+    if (callout.show && performance.now() > calloutUntil) callout.show = false;
+    if (!playing || !track) return;
+    const now = performance.now();
+    const frameMs = lastFrame === null ? 0 : now - lastFrame;
+    lastFrame = now;
+    travelled += setting(speedInput, 50) * (frameMs / 1000);
+    while (nextMarker < track.markers.length && track.markers[nextMarker].dist <= travelled) {
+      showCallout(track.markers[nextMarker++]);
+    }
+    const total = track.dist[track.dist.length - 1];
+    if (travelled >= total) {
+      travelled = total;
+      placeCamera(frameMs);
+      setPlaying(false);
+      stopRecording();
+      return;
+    }
+    placeCamera(frameMs);
+  });
+
+  function rewind() {
+    travelled = 0;
+    heading = null;
+    nextMarker = 0;
+  }
+
+  function play() {
+    if (!track) return;
+    if (travelled >= track.dist[track.dist.length - 1]) rewind();
+    setPlaying(true);
+  }
+
+  function togglePause() {
+    if (playing) setPlaying(false); else play();
+  }
+
+  // --- Recording ---
+
+  function startRecording() {
+    if (!track || recorder) return;
+    const mimeType = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"]
+      .find(t => MediaRecorder.isTypeSupported(t));
+    const chunks = [];
+    // Named now: closing the panel clears `line` before the recorder stops
+    const fileName = `${fileNameFor(line.name, "route")}_flythrough.webm`;
+    const rec = new MediaRecorder(viewer.scene.canvas.captureStream(RECORD_FPS), mimeType ? { mimeType } : {});
+    recorder = rec;
+    recorder.ondataavailable = (e) => { if (e.data.size > 0) chunks.push(e.data); };
+    recorder.onstop = () => {
+      download(new Blob(chunks, { type: rec.mimeType || "video/webm" }), fileName);
+      recorder = null;
+      recordButton.textContent = "Record";
+    };
+    recorder.start();
+    recordButton.textContent = "Stop recording";
+    // A recording always covers the whole tour
+    rewind();
+    play();
+  }
+
+  function stopRecording() {
+    if (recorder?.state === "recording") recorder.stop();
+  }
+
+  playButton.addEventListener("click", togglePause);
+  recordButton.addEventListener("click", () => {
+    if (recorder) {
+      setPlaying(false);
+      stopRecording();
+    } else {
+      startRecording();
+    }
+  });
+  panel.querySelector("[name=restart]").addEventListener("click", () => {
+    rewind();
+    play();
+  });
+  progress.addEventListener("input", () => {
+    if (!track) return;
+    travelled = Number(progress.value) * track.dist[track.dist.length - 1];
+    nextMarker = track.markers.findIndex(m => m.dist > travelled);
+    if (nextMarker < 0) nextMarker = track.markers.length;
+    heading = null;
+    placeCamera(0);
+  });
+  panel.addEventListener("keydown", (event) => {
+    event.stopPropagation();
+    if (event.key === "Escape") hide();
+  });
+
+  async function show(newLine) {
+    hide();
+    line = newLine;
+    panel.hidden = false;
+    title.textContent = `${line.name}: sampling terrain…`;
+    const id = ++request;
+    let built;
+    try {
+      built = await buildTrack(viewer.terrainProvider, line);
+    } catch (e) {
+      if (id === request) title.textContent = `${line.name}: ${e.message}`;
+      return;
+    }
+    if (id !== request) return;
+    track = built;
+    rewind();
+    title.textContent = `${line.name}: ${(track.dist[track.dist.length - 1] / 1000).toFixed(1)} km`;
+    placeCamera(0);
+  }
+
+  function hide() {
+    request++;
+    if (playing) setPlaying(false);
+    stopRecording();
+    line = null;
+    track = null;
+    callout.show = false;
+    panel.hidden = true;
+  }
+
+  return {
+    show,
+    hide,
+    togglePause,
+    get line() {
+      return line;
+    },
+    get active() {
+      return track !== null;
+    },
+  };
+}
@@ -0,0 +1,343 @@
+// ---------------------------------------------------------------------------
+// GPX, KML and GeoJSON conversion for routes and units. Everything here works
+// on plain data:
+//   route: { name, description?, color?, waypoints: [{ name?, lat, lon, alt }] }
+//   unit:  { uid, name, type, force, parent, lat, lon, alt }
+//   area:  { name, kind?, weight?, points: [{ lat, lon }] }  (import only)
+// Parsed waypoints carry alt: null when the file has no elevation.
+// ---------------------------------------------------------------------------
+
+export const FORMATS = {
+  gpx: { label: "GPX", mime: "application/gpx+xml" },
+  kml: { label: "KML", mime: "application/vnd.google-earth.kml+xml" },
+  geojson: { label: "GeoJSON", mime: "application/geo+json" },
+};
+
+function escapeXml(text) {
+  return String(text ?? "").replace(/[<>&"']/g, c =>
+    ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c]);
+}
+
+function round(value, digits) {
+  return value === null || value === undefined ? null : parseFloat(value.toFixed(digits));
+}
+
+// "#RRGGBB" <-> KML "aabbggrr"
+function cssToKmlColor(color) {
+  const hex = (color ?? "#FFFFFF").replace("#", "");
+  return `ff${hex.slice(4, 6)}${hex.slice(2, 4)}${hex.slice(0, 2)}`.toLowerCase();
+}
+
+function kmlToCssColor(color) {
+  const hex = color?.trim();
+  if (!hex || !/^[0-9a-f]{8}$/i.test(hex)) return undefined;
+  return `#${hex.slice(6, 8)}${hex.slice(4, 6)}${hex.slice(2, 4)}`.toUpperCase();
+}
+
+// --- Export ---
+
+function gpxPoint(tag, p, extra = "") {
+  const ele = p.alt === null || p.alt === undefined ? "" : `<ele>${round(p.alt, 1)}</ele>`;
+  const name = p.name ? `<name>${escapeXml(p.name)}</name>` : "";
+  return `<${tag} lat="${round(p.lat, 7)}" lon="${round(p.lon, 7)}">${ele}${name}${extra}</${tag}>`;
+}
+
+export function toGpx({ routes = [], units = [] }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="cesium-orbat" xmlns="http://www.topografix.com/GPX/1/1">',
+  ];
+  for (const u of units) {
+    lines.push("  " + gpxPoint("wpt", u, `<desc>${escapeXml(u.uid)}</desc><type>${escapeXml(u.type)}</type>`));
+  }
+  for (const r of routes) {
+    lines.push("  <rte>");
+    lines.push(`    <name>${escapeXml(r.name)}</name>`);
+    if (r.description) lines.push(`    <desc>${escapeXml(r.description)}</desc>`);
+    for (const wp of r.waypoints) lines.push("    " + gpxPoint("rtept", wp));
+    lines.push("  </rte>");
+  }
+  lines.push("</gpx>", "");
+  return lines.join("\n");
+}
+
+function kmlCoords(p) {
+  return [round(p.lon, 7), round(p.lat, 7), round(p.alt ?? 0, 1)].join(",");
+}
+
+// Units as nested folders mirroring the tree (parent before children)
+function kmlUnitFolders(units, indent) {
+  const children = new Map();
+  for (const u of units) {
+    if (!children.has(u.parent)) children.set(u.parent, []);
+    children.get(u.parent).push(u);
+  }
+  const uids = new Set(units.map(u => u.uid));
+  const out = [];
+  const emit = (u, pad) => {
+    const placemark = `${pad}<Placemark><name>${escapeXml(u.name)}</name>`
+      + `<ExtendedData><Data name="uid"><value>${escapeXml(u.uid)}</value></Data>`
+      + `<Data name="type"><value>${escapeXml(u.type)}</value></Data></ExtendedData>`
+      + `<Point><altitudeMode>absolute</altitudeMode><coordinates>${kmlCoords(u)}</coordinates></Point></Placemark>`;
+    const kids = children.get(u.uid);
+    if (!kids) {
+      out.push(placemark);
+      return;
+    }
+    out.push(`${pad}<Folder><name>${escapeXml(u.name)}</name>`, placemark);
+    for (const k of kids) emit(k, pad + "  ");
+    out.push(`${pad}</Folder>`);
+  };
+  for (const u of units) {
+    if (!u.parent || !uids.has(u.parent)) emit(u, indent);
+  }
+  return out;
+}
+
+export function toKml({ routes = [], units = [] }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    "<Document>",
+  ];
+  if (units.length > 0) lines.push(...kmlUnitFolders(units, "  "));
+  for (const r of routes) {
+    lines.push("  <Placemark>");
+    lines.push(`    <name>${escapeXml(r.name)}</name>`);
+    if (r.description) lines.push(`    <description>${escapeXml(r.description)}</description>`);
+    lines.push(`    <Style><LineStyle><color>${cssToKmlColor(r.color)}</color><width>3</width></LineStyle></Style>`);
+    const absolute = r.waypoints.every(wp => wp.alt !== null && wp.alt !== undefined);
+    lines.push(`    <LineString><altitudeMode>${absolute ? "absolute" : "clampToGround"}</altitudeMode>`);
+    lines.push(`      <coordinates>${r.waypoints.map(kmlCoords).join(" ")}</coordinates>`);
+    lines.push("    </LineString>");
+    lines.push("  </Placemark>");
+  }
+  lines.push("</Document>", "</kml>", "");
+  return lines.join("\n");
+}
+
+function geoJsonCoords(p) {
+  const c = [round(p.lon, 7), round(p.lat, 7)];
+  if (p.alt !== null && p.alt !== undefined) c.push(round(p.alt, 1));
+  return c;
+}
+
+export function toGeoJson({ routes = [], units = [] }) {
+  const features = [
+    ...units.map(u => ({
+      type: "Feature",
+      properties: { uid: u.uid, name: u.name, type: u.type, force: u.force, parent: u.parent },
+      geometry: { type: "Point", coordinates: geoJsonCoords(u) },
+    })),
+    ...routes.map(r => ({
+      type: "Feature",
+      properties: {
+        name: r.name,
+        description: r.description ?? "",
+        stroke: r.color ?? "#FFFFFF",
+        waypointNames: r.waypoints.map(wp => wp.name ?? null),
+      },
+      geometry: { type: "LineString", coordinates: r.waypoints.map(geoJsonCoords) },
+    })),
+  ];
+  return JSON.stringify({ type: "FeatureCollection", features }, null, 2) + "\n";
+}
+
+export function serialize(format, data) {
+  if (format === "gpx") return toGpx(data);
+  if (format === "kml") return toKml(data);
+  return toGeoJson(data);
+}
+
+// --- Import ---
+
+function number(text) {
+  if (text === null || text === undefined || String(text).trim() === "") return null;
+  const n = Number(text);
+  return Number.isFinite(n) ? n : null;
+}
+
+function childText(el, tag) {
+  const child = [...el.children].find(c => c.localName === tag);
+  return child?.textContent.trim() || undefined;
+}
+
+function byTag(root, tag) {
+  return [...root.getElementsByTagNameNS("*", tag)];
+}
+
+function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0) throw new Error("Not a valid XML file");
+  return doc;
+}
+
+function gpxPointOf(el) {
+  return {
+    name: childText(el, "name"),
+    lat: number(el.getAttribute("lat")),
+    lon: number(el.getAttribute("lon")),
+    alt: number(childText(el, "ele")),
+  };
+}
+
+function parseGpx(text) {
+  const doc = parseXml(text);
+  const routes = [];
+  for (const rte of byTag(doc, "rte")) {
+    routes.push({
+      name: childText(rte, "name"),
+      description: childText(rte, "desc"),
+      waypoints: byTag(rte, "rtept").map(gpxPointOf),
+    });
+  }
+  for (const trk of byTag(doc, "trk")) {
+    const segments = byTag(trk, "trkseg");
+    segments.forEach((seg, i) => {
+      const name = childText(trk, "name");
+      routes.push({
+        name: name && segments.length > 1 ? `${name} ${i + 1}` : name,
+        description: childText(trk, "desc"),
+        waypoints: byTag(seg, "trkpt").map(gpxPointOf),
+      });
+    });
+  }
+  const points = byTag(doc, "wpt").map(gpxPointOf);
+  return { routes, points, areas: [] };
+}
+
+function kmlCoordList(text) {
+  return text.trim().split(/\s+/).filter(Boolean).map((tuple) => {
+    const [lon, lat, alt] = tuple.split(",").map(number);
+    return { lat, lon, alt: alt ?? null };
+  });
+}
+
+// Outer ring without the closing point
+function openRing(points) {
+  const [first, last] = [points[0], points[points.length - 1]];
+  return first && last && first.lat === last.lat && first.lon === last.lon ? points.slice(0, -1) : points;
+}
+
+// <ExtendedData><Data name="key"><value>
+function kmlData(placemark, key) {
+  const data = byTag(placemark, "Data").find(d => d.getAttribute("name") === key);
+  return data ? childText(data, "value") : undefined;
+}
+
+function parseKml(text) {
+  const doc = parseXml(text);
+  const routes = [];
+  const points = [];
+  const areas = [];
+  for (const placemark of byTag(doc, "Placemark")) {
+    const name = childText(placemark, "name");
+    const description = childText(placemark, "description");
+    const lineStyle = byTag(placemark, "LineStyle")[0];
+    const color = lineStyle ? kmlToCssColor(childText(lineStyle, "color")) : undefined;
+    const lines = byTag(placemark, "LineString");
+    lines.forEach((line, i) => {
+      const coords = byTag(line, "coordinates")[0]?.textContent ?? "";
+      // clampToGround (the default) means the altitudes are not meaningful
+      const mode = byTag(line, "altitudeMode")[0]?.textContent.trim() ?? "clampToGround";
+      const waypoints = kmlCoordList(coords).map(p => (mode === "absolute" ? p : { ...p, alt: null }));
+      routes.push({ name: name && lines.length > 1 ? `${name} ${i + 1}` : name, description, color, waypoints });
+    });
+    for (const point of byTag(placemark, "Point")) {
+      const coords = kmlCoordList(byTag(point, "coordinates")[0]?.textContent ?? "")[0];
+      const mode = byTag(point, "altitudeMode")[0]?.textContent.trim() ?? "clampToGround";
+      if (coords) points.push({ name, ...coords, alt: mode === "absolute" ? coords.alt : null });
+    }
+    for (const polygon of byTag(placemark, "Polygon")) {
+      const ring = byTag(byTag(polygon, "outerBoundaryIs")[0] ?? polygon, "coordinates")[0]?.textContent ?? "";
+      areas.push({
+        name,
+        kind: kmlData(placemark, "kind"),
+        weight: number(kmlData(placemark, "weight")),
+        points: openRing(kmlCoordList(ring).map(({ lat, lon }) => ({ lat, lon }))),
+      });
+    }
+  }
+  return { routes, points, areas };
+}
+
+function geoJsonPoint(c, name) {
+  return { name, lat: number(c[1]), lon: number(c[0]), alt: number(c[2]) };
+}
+
+function parseGeoJson(text) {
+  const json = JSON.parse(text);
+  const features = json.type === "FeatureCollection" ? json.features
+    : json.type === "Feature" ? [json]
+    : [{ type: "Feature", properties: {}, geometry: json }];
+  const routes = [];
+  const points = [];
+  const areas = [];
+  for (const f of features) {
+    const props = f.properties ?? {};
+    const g = f.geometry;
+    if (!g) continue;
+    const lines = g.type === "LineString" ? [g.coordinates] : g.type === "MultiLineString" ? g.coordinates : [];
+    lines.forEach((coords, i) => {
+      const names = lines.length === 1 && Array.isArray(props.waypointNames) ? props.waypointNames : [];
+      routes.push({
+        name: props.name && lines.length > 1 ? `${props.name} ${i + 1}` : props.name,
+        description: props.description,
+        color: props.stroke ?? props.color,
+        waypoints: coords.map((c, j) => geoJsonPoint(c, names[j] ?? undefined)),
+      });
+    });
+    const pts = g.type === "Point" ? [g.coordinates] : g.type === "MultiPoint" ? g.coordinates : [];
+    for (const c of pts) points.push(geoJsonPoint(c, props.name));
+    // Outer rings only; holes are ignored
+    const polygons = g.type === "Polygon" ? [g.coordinates] : g.type === "MultiPolygon" ? g.coordinates : [];
+    polygons.forEach((rings, i) => {
+      areas.push({
+        name: props.name && polygons.length > 1 ? `${props.name} ${i + 1}` : props.name,
+        kind: props.kind,
+        weight: number(props.weight),
+        points: openRing((rings[0] ?? []).map(c => ({ lat: number(c[1]), lon: number(c[0]) }))),
+      });
+    });
+  }
+  return { routes, points, areas };
+}
+
+// Format from the file extension, falling back to sniffing the content
+export function formatOf(fileName, text) {
+  const ext = fileName.toLowerCase().split(".").pop();
+  if (ext === "gpx" || ext === "kml") return ext;
+  if (ext === "geojson" || ext === "json") return "geojson";
+  const head = text.trimStart().slice(0, 500);
+  if (head.startsWith("{")) return "geojson";
+  if (/<gpx[\s>]/.test(head)) return "gpx";
+  if (/<kml[\s>]/.test(head)) return "kml";
+  return null;
+}
+
+function parseFile(fileName, text) {
+  const format = formatOf(fileName, text);
+  if (!format) throw new Error(`Unrecognised file type: ${fileName}`);
+  return format === "gpx" ? parseGpx(text) : format === "kml" ? parseKml(text) : parseGeoJson(text);
+}
+
+// Routes found in a file. Standalone points become a single route when the
+// file has no lines (a handheld's waypoint list); otherwise they are ignored.
+export function parseRoutes(fileName, text) {
+  const parsed = parseFile(fileName, text);
+  let routes = parsed.routes;
+  if (routes.length === 0 && parsed.points.length >= 2) {
+    routes = [{ name: fileName.replace(/\.[^.]+$/, ""), waypoints: parsed.points }];
+  }
+  return routes
+    .map(r => ({ ...r, waypoints: r.waypoints.filter(wp => wp.lat !== null && wp.lon !== null) }))
+    .filter(r => r.waypoints.length >= 2);
+}
+
+// Polygons found in a file, as planner cost areas (see costAreas.js)
+export function parseAreas(fileName, text) {
+  const parsed = parseFile(fileName, text);
+  return parsed.areas
+    .map(a => ({ ...a, points: a.points.filter(p => p.lat !== null && p.lon !== null) }))
+    .filter(a => a.points.length >= 3);
+}
@@ -0,0 +1,43 @@
+// ---------------------------------------------------------------------------
+// Plain-number helpers shared by the main thread and the path planner worker
+// (no Cesium here, so the worker stays small).
+// ---------------------------------------------------------------------------
+
+export const TOBLER_PEAK_KMH = 6;
+
+// Shortest distance in metres from a point to a polyline of { lat, lon },
+// using flat metric scales for latitude and longitude degrees
+export function distToPath(lat, lon, path, latScale, lonScale) {
+  let minD = Infinity;
+  const px = lat * latScale, py = lon * lonScale;
+  for (let i = 0; i < path.length - 1; i++) {
+    const ax = path[i].lat * latScale, ay = path[i].lon * lonScale;
+    const bx = path[i + 1].lat * latScale, by = path[i + 1].lon * lonScale;
+    const dx = bx - ax, dy = by - ay;
+    const lenSq = dx * dx + dy * dy;
+    let t = lenSq === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lenSq));
+    const cx = ax + t * dx, cy = ay + t * dy;
+    const d = Math.sqrt((px - cx) ** 2 + (py - cy) ** 2);
+    if (d < minD) minD = d;
+  }
+  return minD;
+}
+
+// Seconds to cover `run` metres horizontally while rising `dh` (Tobler's hiking function)
+export function toblerSeconds(run, dh) {
+  const speed = TOBLER_PEAK_KMH * Math.exp(-3.5 * Math.abs(dh / run + 0.05));
+  return run / (speed * 1000 / 3600);
+}
+
+// Whether a point lies inside a polygon ring of { lat, lon } (even-odd rule)
+export function pointInPolygon(lat, lon, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = ring[i], b = ring[j];
+    if ((a.lat > lat) !== (b.lat > lat)
+      && lon < (b.lon - a.lon) * (lat - a.lat) / (b.lat - a.lat) + a.lon) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
@@ -0,0 +1,77 @@
+// ---------------------------------------------------------------------------
+// Undo/redo command history (Ctrl+Z / Ctrl+Shift+Z). Actions are recorded
+// after they have been applied, as { label, undo(), redo() }. undo/redo may
+// return false when they cannot run right now (e.g. during a merge
+// animation); the entry then stays where it was. When they have to wait for
+// the server they return a promise instead: the entry moves at once and goes
+// back if the promise resolves to false or rejects, and no other undo or redo
+// runs until it settles.
+// ---------------------------------------------------------------------------
+
+const MAX_HISTORY = 100;
+const undoStack = [];
+const redoStack = [];
+let pending = false;
+
+// Move `action` from `from` to `to` once `result` has settled successfully
+function settle(result, action, from, to, verb) {
+  if (!(result instanceof Promise)) {
+    if (result === false) return false;
+    to.push(action);
+    console.log(`${verb}: ${action.label}`);
+    return true;
+  }
+  to.push(action);
+  pending = true;
+  const moveBack = () => {
+    const i = to.lastIndexOf(action);
+    if (i >= 0) to.splice(i, 1);
+    from.push(action);
+    console.warn(`${verb} of ${action.label} failed`);
+  };
+  result.then(
+    (ok) => { if (ok === false) moveBack(); else console.log(`${verb}: ${action.label}`); },
+    (e) => {
+      console.error(e);
+      moveBack();
+    },
+  ).finally(() => { pending = false; });
+  return true;
+}
+
+export function recordAction(action) {
+  undoStack.push(action);
+  if (undoStack.length > MAX_HISTORY) undoStack.shift();
+  redoStack.length = 0;
+}
+
+export function undo() {
+  if (pending) return false;
+  const action = undoStack.pop();
+  if (!action) return false;
+  if (!settle(action.undo(), action, undoStack, redoStack, "Undo")) {
+    undoStack.push(action);
+    return false;
+  }
+  return true;
+}
+
+export function redo() {
+  if (pending) return false;
+  const action = redoStack.pop();
+  if (!action) return false;
+  if (!settle(action.redo(), action, redoStack, undoStack, "Redo")) {
+    redoStack.push(action);
+    return false;
+  }
+  return true;
+}
+
+export function handleHistoryKeydown(event) {
+  if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== "z") return false;
+  // Leave text fields their own undo
+  if (event.target.closest?.("input, textarea")) return false;
+  event.preventDefault();
+  if (event.shiftKey) redo(); else undo();
+  return true;
+}
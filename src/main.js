@@ -1,7 +1,25 @@
 import * as Cesium from "cesium";
 import "cesium/Build/Cesium/Widgets/widgets.css";
-import { loadMilitaryUnits, setupZoomListener, setupPreRender, handleLeftClick, handleRightClick, handleKeydown, playBeep } from "./clustering.js";
+import { loadMilitaryUnits, setupZoomListener, setupPreRender, handleLeftClick, handleRightClick, handleLeftDown, handleLeftUp, handleMouseMove, handleKeydown, playBeep } from "./clustering.js";
 import { setupDroneVideoLayer } from "./droneVideo.js";
+import { setupOrbatTree } from "./orbatTree.js";
+import { setupUnitFeed } from "./unitFeed.js";
+import { setupDeclutter } from "./declutter.js";
+import { handleHistoryKeydown, recordAction } from "./history.js";
+import { openRouteDialog } from "./routeDialog.js";
+import { setupExchange } from "./exchange.js";
+import { setupElevationProfile } from "./elevationProfile.js";
+import { routeStats, formatDuration } from "./routeStats.js";
+import { distToPath } from "./geometry.js";
+import { runAStar, cancelPlanning, isPlanning } from "./pathPlanner.js";
+import { bestVisitOrder } from "./visitOrder.js";
+import { MOBILITY_PROFILES, mobilityProfile } from "./mobility.js";
+import { setupStatsTable } from "./statsTable.js";
+import { setupTimetablePanel, computeTimetable, formatClock } from "./timetable.js";
+import { setupFlyThrough } from "./flyThrough.js";
+import { setupCostAreas, makeArea } from "./costAreas.js";
+import { setupObservers } from "./observers.js";
+import { numberedName, waypointName } from "./waypointNames.js";
 
 // Token Cesium Ion (registrarsi su cesium.com/ion per ottenerne uno)
 // Il globo funziona anche senza token, ma senza terrain 3D
@@ -11,6 +29,7 @@ Cesium.Ion.defaultAccessToken = "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9.eyJqdGkiOi
 const settings = await fetch("/api/settings").then(r => r.json()).catch(() => ({}));
 const TILE_PREVIEW_ENABLED = settings.TILE_PREVIEW_ENABLED ?? false;
 const CLAUDE_PANEL_ENABLED = settings.CLAUDE_PANEL_ENABLED ?? false;
+const FEED_STALE_MINUTES = Number(settings.FEED_STALE_MINUTES ?? 5);
 
 const viewer = new Cesium.Viewer("cesiumContainer", {
   terrain: Cesium.Terrain.fromWorldTerrain({
@@ -18,8 +37,8 @@ const viewer = new Cesium.Viewer("cesiumContainer", {
   }),
   selectionIndicator: false,
   infoBox: false,
-  animation: false,
-  timeline: false,
+  animation: true, // timeline playback of unit tracks
+  timeline: true,
   geocoder: false,
   baseLayerPicker: false,
   sceneModePicker: false,
@@ -30,7 +49,24 @@ const viewer = new Cesium.Viewer("cesiumContainer", {
 viewer.scene.globe.depthTestAgainstTerrain = true;
 
 const waypointEntities = [];
-const waypointRouteInfo = new Map(); // entity -> { route: [{lat,lon,alt}...], wpIdx: number }
+// Saved routes are { id, name, color, description, ownerUnitId, createdAt, waypoints: [{lat,lon,alt,name?}] }
+const waypointRouteInfo = new Map(); // entity -> { route, wpIdx, routeIdx, line }
+const routeLineInfo = new Map(); // route line entity -> { route, routeIdx }
+
+function routePositions(route) {
+  return route.waypoints.map(wp => Cesium.Cartesian3.fromDegrees(wp.lon, wp.lat, wp.alt + 50));
+}
+
+// First unused letter, then "Route N"
+function nextRouteName(routes) {
+  const used = new Set(routes.map(r => r.name));
+  for (let c = 65; c <= 90; c++) {
+    if (!used.has(String.fromCharCode(c))) return String.fromCharCode(c);
+  }
+  let n = routes.length + 1;
+  while (used.has(`Route ${n}`)) n++;
+  return `Route ${n}`;
+}
 
 async function loadWaypoints() {
   // Remove previously loaded waypoint entities
@@ -39,20 +75,35 @@ async function loadWaypoints() {
   }
   waypointEntities.length = 0;
   waypointRouteInfo.clear();
+  routeLineInfo.clear();
+  inspectedEntity = null;
 
   const response = await fetch("/data/waypoints.json");
   const routes = await response.json();
 
-  for (const waypoints of routes) {
-    const positions = [];
+  for (let ri = 0; ri < routes.length; ri++) {
+    const route = routes[ri];
+    const line = viewer.entities.add({
+      name: route.name,
+      description: route.description,
+      polyline: {
+        positions: routePositions(route),
+        width: 3,
+        material: Cesium.Color.fromCssColorString(route.color ?? "#FFFFFF"),
+        clampToGround: true,
+      },
+    });
+    waypointEntities.push(line);
+    routeLineInfo.set(line, { route, routeIdx: ri });
 
-    for (let wi = 0; wi < waypoints.length; wi++) {
-      const wp = waypoints[wi];
+    const pins = [];
+    for (let wi = 0; wi < route.waypoints.length; wi++) {
+      const wp = route.waypoints[wi];
+      const name = waypointName(route, wi);
       const position = Cesium.Cartesian3.fromDegrees(wp.lon, wp.lat, wp.alt + 50);
-      positions.push(position);
 
       const entity = viewer.entities.add({
-        name: wp.name,
+        name,
         position,
         point: {
           pixelSize: 10,
@@ -61,7 +112,7 @@ async function loadWaypoints() {
           outlineWidth: 2,
         },
         label: {
-          text: wp.name,
+          text: name,
           font: "18px sans-serif",
           style: Cesium.LabelStyle.FILL_AND_OUTLINE,
           outlineWidth: 2,
@@ -78,20 +129,27 @@ async function loadWaypoints() {
         },
       });
       waypointEntities.push(entity);
-      waypointRouteInfo.set(entity, { route: waypoints, wpIdx: wi });
+      waypointRouteInfo.set(entity, { route, wpIdx: wi, routeIdx: ri, line });
+      pins.push(entity);
     }
-
-    waypointEntities.push(viewer.entities.add({
-      polyline: {
-        positions,
-        width: 3,
-        material: Cesium.Color.WHITE,
-        clampToGround: true,
-      },
-    }));
+    if (route.timetable) labelWithEtas(route, pins);
   }
 
-  currentRouteLetter = routes.length < 26 ? String.fromCharCode(65 + routes.length) : "?";
+  savedRoutes = routes;
+  currentRouteName = nextRouteName(routes);
+  refreshRoutePanels(routes);
+}
+
+// Add the timetable's arrival time to each pin label of `route`
+function labelWithEtas(route, pins) {
+  const names = route.waypoints.map((_, i) => waypointName(route, i));
+  computeTimetable(viewer.terrainProvider, route.waypoints, names, route.timetable).then(({ arrivals }) => {
+    pins.forEach((pin, i) => {
+      if (!waypointRouteInfo.has(pin)) return; // reloaded meanwhile
+      const text = `${names[i]} ${formatClock(arrivals[i], route.timetable.start)}`;
+      if (pin === inspectedEntity) inspectedOriginalLabel = text; else pin.label.text = text;
+    });
+  }).catch((e) => console.error("Timetable error:", e));
 }
 
 loadWaypoints();
@@ -121,7 +179,10 @@ async function loadCameraView() {
 loadCameraView();
 
 // Military unit clustering
-loadMilitaryUnits(viewer).then(({ allNodes }) => {
+let orbatTree = null;
+loadMilitaryUnits(viewer).then(({ allNodes, forces }) => {
+  orbatTree = setupOrbatTree(viewer, forces);
+  setupUnitFeed({ staleMinutes: FEED_STALE_MINUTES });
   // const battalion = allNodes.find(n => n.type === "battalion");
   // if (battalion) {
   //   viewer.camera.flyTo({
@@ -133,8 +194,10 @@ loadMilitaryUnits(viewer).then(({ allNodes }) => {
 });
 setupZoomListener(viewer);
 setupPreRender(viewer);
+const declutter = setupDeclutter(viewer);
 
-let currentRouteLetter = "?";
+let savedRoutes = [];
+let currentRouteName = "?"; // name the red route gets when saved
 let inspectedEntity = null; // black pin with temporarily changed label
 let inspectedOriginalLabel = null;
 
@@ -142,7 +205,9 @@ const clickedGroundPositions = [];
 const clickedEntities = [];
 const clickedWaypointData = [];
 let pathEntity = null;
+let plannedPath = null; // { positions: Cartesian3[], stops: [{ index, name }], mobility } of the lime path
 let pathAnimating = false;
+let orderAbort = null; // AbortController while Shift+P works out the visiting order
 let dashPatternValue = 0xFFFF;
 let dashFrameCount = 0;
 
@@ -169,76 +234,51 @@ viewer.scene.preRender.addEventListener(() => {
   }
 });
 
-function computeRouteStats(waypoints, upToIndex) {
-  let totalDist = 0, dPlus = 0, dMinus = 0;
-  for (let i = 1; i <= upToIndex; i++) {
-    const a = waypoints[i - 1], b = waypoints[i];
-    totalDist += Cesium.Cartesian3.distance(
-      Cesium.Cartesian3.fromDegrees(a.lon, a.lat, a.alt),
-      Cesium.Cartesian3.fromDegrees(b.lon, b.lat, b.alt),
-    );
-    const dh = b.alt - a.alt;
-    if (dh > 0) dPlus += dh; else dMinus += dh;
-  }
-  return { totalDist, dPlus, dMinus };
+// Label with the terrain-sampled totals from the start of the route
+function formatLabel(name, { groundDist, climb, descent, time }) {
+  return `${name} (${Math.round(groundDist)}m +${Math.round(climb)} -${Math.round(descent)} ${formatDuration(time)})`;
 }
 
-function formatLabel(name, totalDist, dPlus, dMinus) {
-  return `${name} (${Math.round(totalDist)}m +${Math.round(dPlus)} -${Math.round(Math.abs(dMinus))})`;
+// Set a waypoint label to its route stats once the terrain has been sampled,
+// unless `stillWanted()` says the label has moved on in the meantime
+function labelWithStats(entity, name, waypoints, stillWanted) {
+  routeStats(viewer.terrainProvider, waypoints).then(({ cumulative }) => {
+    if (stillWanted()) entity.label.text = formatLabel(name, cumulative[cumulative.length - 1]);
+  }).catch((e) => console.error("Route stats error:", e));
 }
 
-const handler = new Cesium.ScreenSpaceEventHandler(viewer.scene.canvas);
-handler.setInputAction((click) => {
-  // Check military unit left-click (unmerge only)
-  if (handleLeftClick(viewer, click)) return;
-
-  // Restore previously inspected black pin label
-  if (inspectedEntity) {
-    inspectedEntity.label.text = inspectedOriginalLabel;
-    inspectedEntity = null;
-    inspectedOriginalLabel = null;
+// Show the stats of a black pin's route up to that pin on its label
+function inspectWaypoint(entity) {
+  if (inspectedEntity !== entity) {
+    clearInspectedWaypoint();
+    inspectedEntity = entity;
+    inspectedOriginalLabel = entity.label.text.getValue();
   }
-
-  const cartesian = viewer.scene.pickPosition(click.position);
-  if (!cartesian) return;
-
-  const carto = Cesium.Cartographic.fromCartesian(cartesian);
-  const lat = Cesium.Math.toDegrees(carto.latitude);
-  const lon = Cesium.Math.toDegrees(carto.longitude);
-  console.log(`lat: ${lat.toFixed(6)}, lon: ${lon.toFixed(6)}, height: ${carto.height.toFixed(6)}`);
-
-  // Check if an existing waypoint entity was picked
-  const picked = viewer.scene.pick(click.position);
-  const pickedEntity = picked?.id instanceof Cesium.Entity && waypointRouteInfo.has(picked.id)
-    ? picked.id : null;
-
-  if (pickedEntity) {
-    // Show route stats on the black pin's own route, don't add to red route
-    const { route, wpIdx } = waypointRouteInfo.get(pickedEntity);
-    const origLabel = pickedEntity.label.text.getValue();
-    if (wpIdx === 0) {
-      pickedEntity.label.text = origLabel;
-    } else {
-      const { totalDist, dPlus, dMinus } = computeRouteStats(route, wpIdx);
-      pickedEntity.label.text = formatLabel(origLabel, totalDist, dPlus, dMinus);
-    }
-    inspectedEntity = pickedEntity;
-    inspectedOriginalLabel = origLabel;
-    return;
+  const { route, wpIdx } = waypointRouteInfo.get(entity);
+  const name = waypointName(route, wpIdx);
+  entity.label.text = wpIdx === 0 ? name : `${name} (…)`;
+  if (wpIdx > 0) {
+    labelWithStats(entity, name, route.waypoints.slice(0, wpIdx + 1), () => inspectedEntity === entity);
   }
+}
 
-  // Add new red point to current route
-  playBeep(440);
+function clearInspectedWaypoint() {
+  if (!inspectedEntity) return;
+  inspectedEntity.label.text = inspectedOriginalLabel;
+  inspectedEntity = null;
+  inspectedOriginalLabel = null;
+}
+
+// Append a point to the red route; its label carries the running route stats
+function addClickedWaypoint(wp) {
+  const { lat, lon, alt } = wp;
   clickedGroundPositions.push(Cesium.Cartesian3.fromDegrees(lon, lat));
 
-  const allPts = [...clickedWaypointData, { lat, lon, alt: carto.height }];
-  const { totalDist, dPlus, dMinus } = computeRouteStats(allPts, allPts.length - 1);
-  const wpNum = clickedWaypointData.length + 1;
-  const labelText = wpNum === 1
-    ? `${currentRouteLetter}${wpNum}`
-    : formatLabel(`${currentRouteLetter}${wpNum}`, totalDist, dPlus, dMinus);
+  const wpIdx = clickedWaypointData.length;
+  const name = numberedName(currentRouteName, wpIdx);
+  const labelText = wpIdx === 0 ? name : `${name} (…)`;
 
-  const elevatedPosition = Cesium.Cartesian3.fromDegrees(lon, lat, carto.height + 50);
+  const elevatedPosition = Cesium.Cartesian3.fromDegrees(lon, lat, alt + 50);
   const entity = viewer.entities.add({
     position: elevatedPosition,
     point: {
@@ -257,28 +297,277 @@ handler.setInputAction((click) => {
     },
     polyline: {
       positions: Cesium.Cartesian3.fromDegreesArrayHeights([
-        lon, lat, carto.height + 50,
-        lon, lat, carto.height - 500,
+        lon, lat, alt + 50,
+        lon, lat, alt - 500,
       ]),
       width: 1,
       material: Cesium.Color.WHITE,
     },
   });
   clickedEntities.push(entity);
-  clickedWaypointData.push({ lat, lon, alt: carto.height });
+  clickedWaypointData.push(wp);
+  if (wpIdx > 0) {
+    labelWithStats(entity, name, [...clickedWaypointData], () => clickedEntities[wpIdx] === entity);
+  }
+}
+
+function removeLastClickedWaypoint() {
+  viewer.entities.remove(clickedEntities.pop());
+  clickedGroundPositions.pop();
+  return clickedWaypointData.pop();
+}
+
+// Remove the whole red route, returning its points
+function clearClickedRoute() {
+  const removed = [...clickedWaypointData];
+  for (const e of clickedEntities) viewer.entities.remove(e);
+  clickedEntities.length = 0;
+  clickedGroundPositions.length = 0;
+  clickedWaypointData.length = 0;
+  return removed;
+}
+
+function restoreClickedRoute(waypoints) {
+  clearClickedRoute();
+  for (const wp of waypoints) addClickedWaypoint(wp);
+}
+
+const handler = new Cesium.ScreenSpaceEventHandler(viewer.scene.canvas);
+handler.setInputAction((click) => {
+  // Check military unit left-click (unmerge only)
+  if (handleLeftClick(viewer, click)) return;
+
+  // Restore previously inspected black pin label
+  clearInspectedWaypoint();
+
+  const cartesian = viewer.scene.pickPosition(click.position);
+  if (!cartesian) return;
+
+  const carto = Cesium.Cartographic.fromCartesian(cartesian);
+  const lat = Cesium.Math.toDegrees(carto.latitude);
+  const lon = Cesium.Math.toDegrees(carto.longitude);
+  console.log(`lat: ${lat.toFixed(6)}, lon: ${lon.toFixed(6)}, height: ${carto.height.toFixed(6)}`);
+
+  // Check if an existing waypoint entity was picked
+  const picked = viewer.scene.pick(click.position);
+  const pickedEntity = picked?.id instanceof Cesium.Entity && waypointRouteInfo.has(picked.id)
+    ? picked.id : null;
+
+  if (pickedEntity) {
+    // Show route stats on the black pin's own route, don't add to red route
+    inspectWaypoint(pickedEntity);
+    return;
+  }
+
+  // Add new red point to current route
+  playBeep(440);
+  const wp = { lat, lon, alt: carto.height };
+  addClickedWaypoint(wp);
+  recordAction({
+    label: "Add waypoint",
+    undo: () => { removeLastClickedWaypoint(); },
+    redo: () => addClickedWaypoint(wp),
+  });
 }, Cesium.ScreenSpaceEventType.LEFT_CLICK);
 
 handler.setInputAction((click) => {
   handleRightClick(viewer, click);
 }, Cesium.ScreenSpaceEventType.RIGHT_CLICK);
 
+// Military unit and saved waypoint drag-to-reposition
+handler.setInputAction((down) => {
+  if (handleLeftDown(viewer, down)) return;
+  handleWaypointDown(down);
+}, Cesium.ScreenSpaceEventType.LEFT_DOWN);
+
+handler.setInputAction((up) => {
+  if (handleLeftUp(viewer, up)) return;
+  handleWaypointUp();
+}, Cesium.ScreenSpaceEventType.LEFT_UP);
+
+// Alt+click on a saved route's line inserts a waypoint there
+handler.setInputAction((click) => {
+  const picked = viewer.scene.pick(click.position);
+  const info = picked?.id instanceof Cesium.Entity ? routeLineInfo.get(picked.id) : null;
+  const cartesian = info && viewer.scene.pickPosition(click.position);
+  if (!cartesian) return;
+  const carto = Cesium.Cartographic.fromCartesian(cartesian);
+  insertWaypoint(info, {
+    lat: parseFloat(Cesium.Math.toDegrees(carto.latitude).toFixed(6)),
+    lon: parseFloat(Cesium.Math.toDegrees(carto.longitude).toFixed(6)),
+    alt: parseFloat(carto.height.toFixed(6)),
+  });
+}, Cesium.ScreenSpaceEventType.LEFT_CLICK, Cesium.KeyboardEventModifier.ALT);
+
+// Shift+drag a unit onto another unit to reattach it there (task-organisation change)
+handler.setInputAction((down) => {
+  handleLeftDown(viewer, down, { attach: true });
+}, Cesium.ScreenSpaceEventType.LEFT_DOWN, Cesium.KeyboardEventModifier.SHIFT);
+
+handler.setInputAction((movement) => {
+  handleMouseMove(viewer, movement);
+}, Cesium.ScreenSpaceEventType.MOUSE_MOVE, Cesium.KeyboardEventModifier.SHIFT);
+
+handler.setInputAction((up) => {
+  handleLeftUp(viewer, up);
+}, Cesium.ScreenSpaceEventType.LEFT_UP, Cesium.KeyboardEventModifier.SHIFT);
+
+// --- Saved route editing ---
+
+const WAYPOINT_DRAG_THRESHOLD_PX = 5;
+let waypointDrag = null; // { entity, info, startPosition, before, moved }
+
+function copyRoute(route) {
+  return { ...route, waypoints: route.waypoints.map(wp => ({ ...wp })) };
+}
+
+// Replace a saved route (matched by id), or with `index` re-insert a deleted one there.
+// Resolves to whether the file was changed; the map shows the file either way.
+function updateRoute(route, { index } = {}) {
+  return fetch("/api/update-route", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ route, index }),
+  }).then((res) => {
+    if (!res.ok) throw new Error(`update failed (${res.status})`);
+    return true;
+  }).catch((e) => {
+    console.error("Route update error:", e);
+    return false;
+  }).finally(() => loadWaypoints());
+}
+
+function deleteRoute(id) {
+  return fetch("/api/delete-route", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ id }),
+  }).then((res) => {
+    if (!res.ok) throw new Error(`delete failed (${res.status})`);
+    return true;
+  }).catch((e) => {
+    console.error("Route delete error:", e);
+    return false;
+  }).finally(() => loadWaypoints());
+}
+
+// Save an edited route and, once stored, make the edit undoable
+function commitRouteEdit(before, after, label) {
+  updateRoute(after).then((ok) => {
+    if (!ok) return;
+    recordAction({
+      label,
+      undo: () => updateRoute(before),
+      redo: () => updateRoute(after),
+    });
+  });
+}
+
+function removeRoute(route, index) {
+  deleteRoute(route.id).then((ok) => {
+    if (!ok) return;
+    recordAction({
+      label: `Delete route ${route.name}`,
+      undo: () => updateRoute(route, { index }),
+      redo: () => deleteRoute(route.id),
+    });
+  });
+}
+
+// Insert `wp` into the leg of `route` closest to it
+function insertWaypoint({ route }, wp) {
+  const wps = route.waypoints;
+  const cosLat = Math.cos(wp.lat * Math.PI / 180);
+  let bestLeg = 0, bestDist = Infinity;
+  for (let i = 0; i < wps.length - 1; i++) {
+    const d = distToPath(wp.lat, wp.lon, [wps[i], wps[i + 1]], 111320, 111320 * cosLat);
+    if (d < bestDist) {
+      bestDist = d;
+      bestLeg = i;
+    }
+  }
+  const after = { ...route, waypoints: [...wps.slice(0, bestLeg + 1), wp, ...wps.slice(bestLeg + 1)] };
+  commitRouteEdit(route, after, `Insert waypoint in ${route.name}`);
+}
+
+function deleteWaypoint(entity) {
+  const { route, wpIdx } = waypointRouteInfo.get(entity);
+  if (route.waypoints.length <= 2) {
+    console.warn("A route needs at least two waypoints (Shift+Delete removes the whole route)");
+    return;
+  }
+  const after = { ...route, waypoints: route.waypoints.filter((_, i) => i !== wpIdx) };
+  commitRouteEdit(route, after, `Delete waypoint ${waypointName(route, wpIdx)}`);
+}
+
+// Edit name, colour, description and owning unit of the inspected route
+async function editRouteDetails(entity) {
+  const { route } = waypointRouteInfo.get(entity);
+  const details = await openRouteDialog(route);
+  if (!details) return;
+  commitRouteEdit(route, { ...route, ...details }, `Edit route ${route.name}`);
+}
+
+function handleWaypointDown(down) {
+  const picked = viewer.scene.pick(down.position);
+  const entity = picked?.id instanceof Cesium.Entity && waypointRouteInfo.has(picked.id) ? picked.id : null;
+  if (!entity) return false;
+  const info = waypointRouteInfo.get(entity);
+  waypointDrag = {
+    entity,
+    info,
+    startPosition: Cesium.Cartesian2.clone(down.position),
+    before: copyRoute(info.route),
+    moved: false,
+  };
+  // Keep the camera still while the waypoint is being dragged
+  viewer.scene.screenSpaceCameraController.enableInputs = false;
+  return true;
+}
+
+function handleWaypointMove(movement) {
+  if (!waypointDrag) return false;
+  if (!waypointDrag.moved) {
+    if (Cesium.Cartesian2.distance(movement.endPosition, waypointDrag.startPosition) < WAYPOINT_DRAG_THRESHOLD_PX) return true;
+    waypointDrag.moved = true;
+  }
+  const ray = viewer.camera.getPickRay(movement.endPosition);
+  const cartesian = ray && viewer.scene.globe.pick(ray, viewer.scene);
+  if (!cartesian) return true;
+  const carto = Cesium.Cartographic.fromCartesian(cartesian);
+  const { entity, info } = waypointDrag;
+  const wp = info.route.waypoints[info.wpIdx];
+  wp.lat = parseFloat(Cesium.Math.toDegrees(carto.latitude).toFixed(6));
+  wp.lon = parseFloat(Cesium.Math.toDegrees(carto.longitude).toFixed(6));
+  wp.alt = parseFloat(carto.height.toFixed(6));
+  entity.position = Cesium.Cartesian3.fromDegrees(wp.lon, wp.lat, wp.alt + 50);
+  entity.polyline.positions = Cesium.Cartesian3.fromDegreesArrayHeights([
+    wp.lon, wp.lat, wp.alt + 50,
+    wp.lon, wp.lat, wp.alt - 500,
+  ]);
+  info.line.polyline.positions = routePositions(info.route);
+  // Live stats on the dragged pin
+  inspectWaypoint(entity);
+  return true;
+}
+
+function handleWaypointUp() {
+  if (!waypointDrag) return false;
+  const { info, before, moved } = waypointDrag;
+  waypointDrag = null;
+  viewer.scene.screenSpaceCameraController.enableInputs = true;
+  if (!moved) return false;
+  commitRouteEdit(before, copyRoute(info.route), `Move waypoint ${waypointName(info.route, info.wpIdx)}`);
+  return true;
+}
+
 // Color picker tooltip
 const colorTooltip = document.createElement("div");
 colorTooltip.style.cssText = "position:absolute;display:none;padding:6px 10px;background:rgba(0,0,0,0.8);color:#fff;font:14px monospace;border-radius:4px;pointer-events:none;z-index:9999;white-space:nowrap";
 document.body.appendChild(colorTooltip);
 
 const tilePreview = document.createElement("canvas");
-tilePreview.style.cssText = "position:absolute;bottom:10px;left:10px;width:200px;height:200px;border:2px solid #fff;z-index:9999;pointer-events:none;image-rendering:pixelated;display:none";
+tilePreview.style.cssText = "position:absolute;bottom:130px;left:10px;width:200px;height:200px;border:2px solid #fff;z-index:9999;pointer-events:none;image-rendering:pixelated;display:none";
 document.body.appendChild(tilePreview);
 const tilePreviewCtx = tilePreview.getContext("2d");
 
@@ -286,6 +575,8 @@ let colorPickerCache = { level: -1, tileX: -1, tileY: -1, ctx: null, rect: null
 let colorPickerPending = false;
 
 handler.setInputAction(async (movement) => {
+  if (handleMouseMove(viewer, movement)) return;
+  if (handleWaypointMove(movement)) return;
   if (!TILE_PREVIEW_ENABLED) return;
   if (colorPickerPending) return;
   const ray = viewer.camera.getPickRay(movement.endPosition);
@@ -358,15 +649,49 @@ handler.setInputAction(async (movement) => {
 const gridEntities = [];
 let gridVisible = false;
 
+// Remove the planned path (and debug grid), returning it
 function removePath() {
+  const removed = plannedPath;
   if (pathEntity) {
     viewer.entities.remove(pathEntity);
     pathEntity = null;
   }
+  plannedPath = null;
   clickedPathEntity.polyline.show = true;
   dashPatternValue = 0xFFFF;
   for (const e of gridEntities) viewer.entities.remove(e);
   gridEntities.length = 0;
+  return removed;
+}
+
+function showPath(path) {
+  if (pathEntity) viewer.entities.remove(pathEntity);
+  plannedPath = path;
+  const end = Cesium.Cartographic.fromCartesian(path.positions[path.positions.length - 1]);
+  pathEntity = viewer.entities.add({
+    // The end of the path says which mobility profile it was planned for
+    position: Cesium.Cartesian3.fromRadians(end.longitude, end.latitude, 50),
+    label: {
+      text: `${mobilityProfile(path.mobility).label} route`,
+      font: "16px sans-serif",
+      fillColor: Cesium.Color.LIME,
+      style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+      outlineWidth: 2,
+      verticalOrigin: Cesium.VerticalOrigin.TOP,
+      pixelOffset: new Cesium.Cartesian2(0, 15),
+      heightReference: Cesium.HeightReference.RELATIVE_TO_GROUND,
+    },
+    polyline: {
+      positions: path.positions,
+      width: 4,
+      material: Cesium.Color.LIME,
+      clampToGround: true,
+    },
+  });
+}
+
+function restorePath(path) {
+  if (path) showPath(path); else removePath();
 }
 
 function showGridPoints(bounds, stepMeters, color, corridor) {
@@ -417,224 +742,44 @@ function showGridBounds(bounds, color) {
   }));
 }
 
-function distToPath(lat, lon, path, latScale, lonScale) {
-  let minD = Infinity;
-  const px = lat * latScale, py = lon * lonScale;
-  for (let i = 0; i < path.length - 1; i++) {
-    const ax = path[i].lat * latScale, ay = path[i].lon * lonScale;
-    const bx = path[i + 1].lat * latScale, by = path[i + 1].lon * lonScale;
-    const dx = bx - ax, dy = by - ay;
-    const lenSq = dx * dx + dy * dy;
-    let t = lenSq === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lenSq));
-    const cx = ax + t * dx, cy = ay + t * dy;
-    const d = Math.sqrt((px - cx) ** 2 + (py - cy) ** 2);
-    if (d < minD) minD = d;
-  }
-  return minD;
-}
-
-async function runAStar(terrainProvider, bounds, stepMeters, startLatLon, endLatLon, corridor) {
-  const { minLat, maxLat, minLon, maxLon } = bounds;
-  const stepLat = stepMeters / 111320;
-  const midLat = (minLat + maxLat) / 2;
-  const cosLat = Math.cos(midLat * Math.PI / 180);
-  const stepLon = stepMeters / (111320 * cosLat);
-
-  const rows = Math.ceil((maxLat - minLat) / stepLat) + 1;
-  const cols = Math.ceil((maxLon - minLon) / stepLon) + 1;
-
-  // Build mask: which cells are within corridor
-  const latScale = 111320;
-  const lonScale = 111320 * cosLat;
-  const inCorridor = [];
-  let sampledCount = 0;
-  for (let r = 0; r < rows; r++) {
-    inCorridor[r] = [];
-    for (let c = 0; c < cols; c++) {
-      if (corridor) {
-        const lat = minLat + r * stepLat;
-        const lon = minLon + c * stepLon;
-        inCorridor[r][c] = distToPath(lat, lon, corridor.path, latScale, lonScale) <= corridor.radius;
-      } else {
-        inCorridor[r][c] = true;
-      }
-      if (inCorridor[r][c]) sampledCount++;
-    }
-  }
-  console.log(`Grid: ${rows}x${cols}, sampling ${sampledCount} points (${stepMeters}m)`);
-
-  // Only sample terrain for cells in corridor
-  const cartographics = [];
-  const cartToCell = []; // maps cartographics index -> [r, c]
-  for (let r = 0; r < rows; r++) {
-    for (let c = 0; c < cols; c++) {
-      if (inCorridor[r][c]) {
-        cartographics.push(Cesium.Cartographic.fromDegrees(
-          minLon + c * stepLon,
-          minLat + r * stepLat,
-        ));
-        cartToCell.push([r, c]);
-      }
-    }
-  }
-
-  console.log("Sampling terrain...");
-  const sampled = await Cesium.sampleTerrainMostDetailed(terrainProvider, cartographics);
+const planProgress = document.getElementById("plan-progress");
+const planProgressLabel = document.getElementById("plan-progress-label");
+const planProgressBar = document.getElementById("plan-progress-bar");
+const mobilitySelect = document.querySelector("#areas-panel [name=mobility]");
+for (const [id, { label }] of Object.entries(MOBILITY_PROFILES)) mobilitySelect.add(new Option(label, id));
 
-  const grid = [];
-  for (let r = 0; r < rows; r++) {
-    grid[r] = new Array(cols).fill(null);
-  }
-  for (let i = 0; i < sampled.length; i++) {
-    const [r, c] = cartToCell[i];
-    const h = sampled[i].height;
-    grid[r][c] = h !== undefined ? h : null;
-  }
-
-  const clamp = (v, max) => Math.max(0, Math.min(max - 1, v));
-  const sr = clamp(Math.round((startLatLon.lat - minLat) / stepLat), rows);
-  const sc = clamp(Math.round((startLatLon.lon - minLon) / stepLon), cols);
-  const er = clamp(Math.round((endLatLon.lat - minLat) / stepLat), rows);
-  const ec = clamp(Math.round((endLatLon.lon - minLon) / stepLon), cols);
-
-  console.log(`A* from [${sr},${sc}] to [${er},${ec}]...`);
-
-  const cellKey = (r, c) => r * cols + c;
-  const latDist = stepLat * 111320;
-  const lonDist = stepLon * 111320 * Math.cos(midLat * Math.PI / 180);
-  const diagDist = Math.sqrt(latDist * latDist + lonDist * lonDist);
-  const maxSpeed = 6 * 1000 / 3600;
-
-  const neighbors = [
-    [-1, 0, latDist], [1, 0, latDist],
-    [0, -1, lonDist], [0, 1, lonDist],
-    [-1, -1, diagDist], [-1, 1, diagDist],
-    [1, -1, diagDist], [1, 1, diagDist],
-  ];
-
-  function heuristic(r, c) {
-    const dr = (r - er) * latDist;
-    const dc = (c - ec) * lonDist;
-    return Math.sqrt(dr * dr + dc * dc) / maxSpeed;
-  }
-
-  const startH = grid[sr][sc] || 0;
-
-  function toblerCost(dh, dist, neighborH) {
-    const slope = dh / dist;
-    const speed = 6 * Math.exp(-3.5 * Math.abs(slope + 0.05));
-    let cost = dist / (speed * 1000 / 3600);
-    const above = Math.max(0, neighborH - startH);
-    cost += above * 10;
-    return cost;
-  }
-
-  const pq = [];
-  function pqPush(item) {
-    pq.push(item);
-    let i = pq.length - 1;
-    while (i > 0) {
-      const p = (i - 1) >> 1;
-      if (pq[p].f <= pq[i].f) break;
-      [pq[p], pq[i]] = [pq[i], pq[p]];
-      i = p;
-    }
-  }
-  function pqPop() {
-    const top = pq[0];
-    const last = pq.pop();
-    if (pq.length > 0) {
-      pq[0] = last;
-      let i = 0;
-      while (true) {
-        let s = i;
-        const l = 2 * i + 1, r = 2 * i + 2;
-        if (l < pq.length && pq[l].f < pq[s].f) s = l;
-        if (r < pq.length && pq[r].f < pq[s].f) s = r;
-        if (s === i) break;
-        [pq[s], pq[i]] = [pq[i], pq[s]];
-        i = s;
-      }
-    }
-    return top;
-  }
-
-  const closedSet = new Set();
-  const cameFrom = new Map();
-  const gScore = new Map();
-
-  gScore.set(cellKey(sr, sc), 0);
-  pqPush({ r: sr, c: sc, f: heuristic(sr, sc) });
-
-  let found = false;
-  let iterations = 0;
-
-  while (pq.length > 0) {
-    const current = pqPop();
-    const ck = cellKey(current.r, current.c);
-
-    if (closedSet.has(ck)) continue;
-    closedSet.add(ck);
-
-    if (current.r === er && current.c === ec) {
-      found = true;
-      break;
-    }
-
-    iterations++;
-    if (iterations % 10000 === 0) {
-      console.log(`A* iteration ${iterations}, open: ${pq.length}`);
-    }
-
-    const currentH = grid[current.r][current.c];
-    if (currentH === null) continue;
-
-    for (const [dr, dc, dist] of neighbors) {
-      const nr = current.r + dr;
-      const nc = current.c + dc;
-      if (nr < 0 || nr >= rows || nc < 0 || nc >= cols) continue;
-
-      const nk = cellKey(nr, nc);
-      if (closedSet.has(nk)) continue;
-
-      const nh = grid[nr][nc];
-      if (nh === null) continue;
-
-      const dh = nh - currentH;
-      const cost = toblerCost(dh, dist, nh);
-      const tentG = gScore.get(ck) + cost;
-
-      if (!gScore.has(nk) || tentG < gScore.get(nk)) {
-        gScore.set(nk, tentG);
-        cameFrom.set(nk, ck);
-        pqPush({ r: nr, c: nc, f: tentG + heuristic(nr, nc) });
-      }
-    }
-  }
+// A plan or visiting order in progress (Esc cancels either)
+function planningBusy() {
+  return pathAnimating || isPlanning() || orderAbort !== null;
+}
 
-  if (!found) return null;
+// Progress of a pass: terrain sampling fills the first half, the search the second
+function showPlanProgress(pass, range, { phase, fraction }) {
+  const [from, to] = range;
+  const passFraction = phase === "terrain" ? fraction / 2 : 0.5 + fraction / 2;
+  planProgress.hidden = false;
+  const activity = { terrain: "sampling terrain", sight: "checking lines of sight", search: "searching" }[phase];
+  planProgressLabel.textContent = `${pass[0].toUpperCase()}${pass.slice(1)} pass: ${activity} (Esc cancels)`;
+  planProgressBar.value = from + (to - from) * passFraction;
+}
 
-  const path = [];
-  let ck = cellKey(er, ec);
-  while (ck !== undefined) {
-    const r = Math.floor(ck / cols);
-    const c = ck % cols;
-    path.unshift({ lat: minLat + r * stepLat, lon: minLon + c * stepLon });
-    ck = cameFrom.get(ck);
+// Planning over: progress hidden, dashes still; with `previousPath` (cancel or
+// failure) the grid goes and the path from before P comes back
+function endPlanning(previousPath) {
+  planProgress.hidden = true;
+  pathAnimating = false;
+  dashPatternValue = 0xFFFF;
+  if (previousPath !== undefined) {
+    removePath();
+    restorePath(previousPath);
   }
-
-  console.log(`Path: ${path.length} points, ${iterations} iterations`);
-  return path;
 }
 
-async function planPath(start, end) {
-  removePath();
-  pathAnimating = true;
-  dashPatternValue = 0xFF00;
-  dashFrameCount = 0;
-  // Yield to let the browser render the animated dashes before heavy computation
-  await new Promise(r => requestAnimationFrame(() => requestAnimationFrame(r)));
-
+// Two-pass A* for one leg: coarse grid over the leg's box, then a fine grid
+// in a corridor around the coarse path. Resolves to a smoothed [{ lat, lon }]
+// from `start` to `end`, or null if no path exists; rejects with an
+// AbortError when cancelled. `leg` labels the progress bar.
+async function planLeg(start, end, range, leg, mobility) {
   // Distance AB in meters
   const midLat = (start.lat + end.lat) / 2;
   const cosLat = Math.cos(midLat * Math.PI / 180);
@@ -645,6 +790,14 @@ async function planPath(start, end) {
 
   const coarseStep = Math.max(40, distAB / 60);
   const fineStep = Math.max(10, distAB / 300);
+  const [from, to] = range;
+  const split = from + (to - from) * 0.3;
+  const options = {
+    mobility,
+    areas: costAreas.areas,
+    water: costAreas.water,
+    concealment: observers.concealment(),
+  };
 
   // Pass 1: coarse grid
   const latSpan = Math.abs(end.lat - start.lat) || 0.001;
@@ -660,13 +813,10 @@ async function planPath(start, end) {
   };
   showGridBounds(coarseBounds, Cesium.Color.YELLOW);
   showGridPoints(coarseBounds, coarseStep, Cesium.Color.YELLOW);
-  const coarsePath = await runAStar(viewer.terrainProvider, coarseBounds, coarseStep, start, end);
-
-  if (!coarsePath) {
-    console.warn("No path found!");
-    pathAnimating = false;
-    return;
-  }
+  const coarse = await runAStar(viewer.terrainProvider, coarseBounds, coarseStep, start, end, null, options,
+    p => showPlanProgress(`${leg}coarse`, [from, split], p));
+  const coarsePath = coarse.path;
+  if (!coarsePath) return null;
 
   // Pass 2: fine grid, corridor around coarse path
   const corridorRadius = coarseStep * 1.5;
@@ -690,7 +840,12 @@ async function planPath(start, end) {
   showGridBounds(fineBounds, Cesium.Color.CYAN);
   const corridorObj = { path: coarsePath, radius: corridorRadius };
   showGridPoints(fineBounds, fineStep, Cesium.Color.CYAN, corridorObj);
-  const finePath = await runAStar(viewer.terrainProvider, fineBounds, fineStep, start, end, corridorObj);
+  // The corridor holds too little terrain for sight lines: reuse the coarse pass's exposure
+  const fineOptions = options.concealment
+    ? { ...options, concealment: { ...options.concealment, coarse: coarse.exposure } }
+    : options;
+  const { path: finePath } = await runAStar(viewer.terrainProvider, fineBounds, fineStep, start, end, corridorObj,
+    fineOptions, p => showPlanProgress(`${leg}fine`, [split, to], p));
 
   let resultPath = finePath || coarsePath;
 
@@ -711,12 +866,18 @@ async function planPath(start, end) {
     resultPath = filtered;
   }
 
-  // Convert to Cartesian3
-  const path = resultPath.map(p => Cesium.Cartesian3.fromDegrees(p.lon, p.lat));
-  path[0] = Cesium.Cartesian3.fromDegrees(start.lon, start.lat);
-  path[path.length - 1] = Cesium.Cartesian3.fromDegrees(end.lon, end.lat);
+  // The grid snaps the ends to cells; the leg must start and end on the clicked points
+  resultPath[0] = { lat: start.lat, lon: start.lon };
+  resultPath[resultPath.length - 1] = { lat: end.lat, lon: end.lon };
+  return resultPath;
+}
+
+const SPLINE_SUBDIVISIONS = 4;
 
-  // Catmull-Rom spline smoothing (extrapolate phantom endpoints)
+// Catmull-Rom spline through the points (extrapolated phantom endpoints);
+// control point i lands at index i * SPLINE_SUBDIVISIONS
+function smoothLine(latLons) {
+  const path = latLons.map(p => Cesium.Cartesian3.fromDegrees(p.lon, p.lat));
   const n = path.length;
   const phantomStart = Cesium.Cartesian3.subtract(
     Cesium.Cartesian3.multiplyByScalar(path[0], 2, new Cesium.Cartesian3()),
@@ -732,76 +893,520 @@ async function planPath(start, end) {
     points: padded,
   });
   const smoothPath = [];
-  const subdivisions = 4;
   for (let i = 1; i < padded.length - 2; i++) {
-    for (let j = 0; j < subdivisions; j++) {
-      smoothPath.push(spline.evaluate(i + j / subdivisions));
+    for (let j = 0; j < SPLINE_SUBDIVISIONS; j++) {
+      smoothPath.push(spline.evaluate(i + j / SPLINE_SUBDIVISIONS));
     }
   }
   smoothPath.push(spline.evaluate(padded.length - 2));
+  return smoothPath;
+}
+
+// Plan through all `points` in order and show one continuous lime path with
+// a stop at each point. `mobility` is a MOBILITY_PROFILES id, by default the
+// one chosen in the planner panel (K).
+async function planPath(points, mobility = mobilitySelect.value) {
+  if (planningBusy()) {
+    console.warn("A path is already being planned (Esc cancels it)");
+    return;
+  }
+  const previousPath = removePath();
+  pathAnimating = true;
+  dashPatternValue = 0xFF00;
+  dashFrameCount = 0;
+
+  const legCount = points.length - 1;
+  const latLons = [];
+  const stopIndices = [0];
+  let crowFlies = 0;
+  for (let i = 0; i < legCount; i++) {
+    const start = points[i], end = points[i + 1];
+    const label = legCount > 1 ? `Leg ${i + 1}/${legCount}, ` : "";
+    let leg;
+    try {
+      leg = await planLeg(start, end, [i / legCount, (i + 1) / legCount], label, mobility);
+    } catch (e) {
+      if (e.name !== "AbortError") console.error("Path planning error:", e);
+      endPlanning(previousPath);
+      return;
+    }
+    if (!leg) {
+      console.warn(`No path found${legCount > 1 ? ` for leg ${i + 1}` : ""}!`);
+      endPlanning(previousPath);
+      return;
+    }
+    latLons.push(...(i === 0 ? leg : leg.slice(1)));
+    stopIndices.push(latLons.length - 1);
+    crowFlies += Cesium.Cartesian3.distance(
+      Cesium.Cartesian3.fromDegrees(start.lon, start.lat),
+      Cesium.Cartesian3.fromDegrees(end.lon, end.lat),
+    );
+  }
+
+  const path = {
+    positions: smoothLine(latLons),
+    stops: stopIndices.map((index, i) => ({ index: index * SPLINE_SUBDIVISIONS, name: numberedName(currentRouteName, i) })),
+    mobility,
+  };
 
   playBeep(880);
-  pathEntity = viewer.entities.add({
-    polyline: {
-      positions: smoothPath,
-      width: 4,
-      material: Cesium.Color.LIME,
-      clampToGround: true,
-    },
+  showPath(path);
+  recordAction({
+    label: "Plan path",
+    undo: () => restorePath(previousPath),
+    redo: () => showPath(path),
   });
+  endPlanning();
 
-  const distKm = (distAB / 1000).toFixed(1);
+  // Per-leg time and distance over the planned ground
+  if (legCount > 1) {
+    statsTable.show(plannedPathLine());
+  }
+
+  const distKm = (crowFlies / 1000).toFixed(1);
   proactiveClaude(
-    `A terrain-aware path was just planned from [${start.lat.toFixed(4)}, ${start.lon.toFixed(4)}] ` +
-    `to [${end.lat.toFixed(4)}, ${end.lon.toFixed(4)}], covering roughly ${distKm} km as-the-crow-flies ` +
-    `with ${resultPath.length} route points after smoothing. ` +
+    `A terrain-aware path for ${mobilityProfile(mobility).label.toLowerCase()} movement was just planned from [${points[0].lat.toFixed(4)}, ${points[0].lon.toFixed(4)}] ` +
+    `to [${points[legCount].lat.toFixed(4)}, ${points[legCount].lon.toFixed(4)}]` +
+    (legCount > 1 ? ` through ${legCount - 1} intermediate waypoint(s)` : "") +
+    `, covering roughly ${distKm} km as-the-crow-flies ` +
+    `with ${latLons.length} route points after smoothing. ` +
     `In 1–2 sentences, comment on what this route crosses or its tactical character.`
   );
+}
 
-  pathAnimating = false;
-  dashPatternValue = 0xFFFF;
+// Reorder the red route's middle points for the quickest visit, then plan through it
+async function planBestOrder(mobility = mobilitySelect.value) {
+  if (planningBusy()) {
+    console.warn("A path is already being planned (Esc cancels it)");
+    return;
+  }
+  const original = [...clickedWaypointData];
+  orderAbort = new AbortController();
+  let order;
+  try {
+    order = await bestVisitOrder(viewer.terrainProvider, original, mobility, {
+      signal: orderAbort.signal,
+      onProgress: (fraction) => {
+        planProgress.hidden = false;
+        planProgressLabel.textContent = "Visiting order: sampling terrain (Esc cancels)";
+        planProgressBar.value = fraction;
+      },
+    });
+  } catch (e) {
+    if (e.name !== "AbortError") console.error("Visiting order error:", e);
+    return;
+  } finally {
+    orderAbort = null;
+    planProgress.hidden = true;
+  }
+  if (clickedWaypointData.length !== original.length || clickedWaypointData.some((p, i) => p !== original[i])) {
+    console.warn("The red route changed while the visiting order was worked out; press Shift+P again");
+    return;
+  }
+
+  const ordered = order.map(i => original[i]);
+  if (order.some((v, i) => v !== i)) {
+    console.log(`Visiting order: ${order.map(i => numberedName(currentRouteName, i)).join(" → ")}`);
+    restoreClickedRoute(ordered);
+    recordAction({
+      label: "Reorder waypoints",
+      undo: () => restoreClickedRoute(original),
+      redo: () => restoreClickedRoute(ordered),
+    });
+  }
+  await planPath(ordered, mobility);
+}
+
+function cancelOrder() {
+  if (!orderAbort) return false;
+  orderAbort.abort();
+  return true;
+}
+
+// Append a route to data/waypoints.json; resolves to the stored route (with id and creation time).
+// Waypoints keep a `name` only when given one that is not the generated A1, A2...
+function saveRoute(details, waypoints) {
+  const route = {
+    ...details,
+    waypoints: waypoints.map(wp => ({
+      ...(wp.name ? { name: wp.name } : {}),
+      lat: parseFloat(wp.lat.toFixed(6)),
+      lon: parseFloat(wp.lon.toFixed(6)),
+      alt: parseFloat(wp.alt.toFixed(6)),
+    })),
+  };
+  return fetch("/api/save-route", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(route),
+  }).then((res) => {
+    if (!res.ok) throw new Error(`save failed (${res.status})`);
+    return res.json();
+  }).then((body) => body.route);
+}
+
+// Take a saved route back out of data/waypoints.json
+function revertRoute(route) {
+  return fetch("/api/revert-route", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ route }),
+  }).then((res) => {
+    if (!res.ok) throw new Error(`revert failed (${res.status})`);
+  });
+}
+
+// Ask for the route details, then save `waypoints` as a route and clear the
+// red route and planned path. Undo takes the route back out of the file and
+// restores both.
+async function saveNewRoute(waypoints, initialDetails) {
+  const details = await openRouteDialog({ name: currentRouteName, ...initialDetails });
+  if (!details) return;
+  const clicked = [...clickedWaypointData];
+  let saved = null;
+  const commitSave = () => saveRoute(details, waypoints).then((route) => {
+    saved = route;
+    console.log(`Route ${route.name} saved`);
+    // Clear clicked points and path
+    clearClickedRoute();
+    const path = removePath();
+    // Reload saved routes
+    loadWaypoints();
+    return path;
+  });
+
+  let path;
+  try {
+    path = await commitSave();
+  } catch (e) {
+    console.error("Save error:", e);
+    return;
+  }
+  recordAction({
+    label: `Save route ${saved.name}`,
+    // Both resolve to false when the server refuses, so the entry stays put
+    undo: () => revertRoute(saved)
+      .then(() => {
+        loadWaypoints();
+        restoreClickedRoute(clicked);
+        restorePath(path);
+        return true;
+      })
+      .catch((e) => {
+        console.error("Revert error:", e);
+        return false;
+      }),
+    redo: () => commitSave()
+      .then(() => true)
+      .catch((e) => {
+        console.error("Save error:", e);
+        return false;
+      }),
+  });
+}
+
+// Douglas-Peucker on a local metric projection; keeps the end points
+function simplifyLine(points, toleranceM) {
+  const midLat = points.reduce((s, p) => s + p.lat, 0) / points.length;
+  const latScale = 111320, lonScale = 111320 * Math.cos(midLat * Math.PI / 180);
+  const keep = new Array(points.length).fill(false);
+  keep[0] = keep[points.length - 1] = true;
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxD = 0, index = -1;
+    for (let i = first + 1; i < last; i++) {
+      const d = distToPath(points[i].lat, points[i].lon, [points[first], points[last]], latScale, lonScale);
+      if (d > maxD) {
+        maxD = d;
+        index = i;
+      }
+    }
+    if (maxD > toleranceM) {
+      keep[index] = true;
+      stack.push([first, index], [index, last]);
+    }
+  }
+  return points.filter((_, i) => keep[i]);
+}
+
+const PROMOTE_TOLERANCE_M = 20;
+const PROMOTE_MAX_WAYPOINTS = 40;
+
+// Douglas-Peucker between each pair of consecutive stops, so the stops are
+// always kept as waypoints
+function simplifyBetweenStops(points, stops, toleranceM) {
+  const out = [points[0]];
+  for (let i = 1; i < stops.length; i++) {
+    out.push(...simplifyLine(points.slice(stops[i - 1], stops[i] + 1), toleranceM).slice(1));
+  }
+  return out;
+}
+
+// Turn the lime path into route waypoints: simplified (the tolerance grows
+// until at most PROMOTE_MAX_WAYPOINTS remain, stops permitting) and with
+// terrain altitudes
+async function plannedPathWaypoints() {
+  const points = plannedPath.positions.map((p) => {
+    const c = Cesium.Cartographic.fromCartesian(p);
+    return { lat: Cesium.Math.toDegrees(c.latitude), lon: Cesium.Math.toDegrees(c.longitude) };
+  });
+  const stops = plannedPath.stops.map(s => s.index);
+  let tolerance = PROMOTE_TOLERANCE_M;
+  let simplified = simplifyBetweenStops(points, stops, tolerance);
+  while (simplified.length > Math.max(PROMOTE_MAX_WAYPOINTS, stops.length)) {
+    tolerance *= 1.5;
+    simplified = simplifyBetweenStops(points, stops, tolerance);
+  }
+  const sampled = await Cesium.sampleTerrainMostDetailed(
+    viewer.terrainProvider,
+    simplified.map(p => Cesium.Cartographic.fromDegrees(p.lon, p.lat)),
+  );
+  console.log(`Planned path: ${points.length} points simplified to ${simplified.length} (${Math.round(tolerance)} m tolerance)`);
+  return simplified.map((p, i) => ({ ...p, alt: sampled[i].height ?? 0 }));
+}
+
+async function savePlannedPath() {
+  if (!plannedPath || pathAnimating) {
+    console.warn("No planned path to save (P plans one through the red points)");
+    return;
+  }
+  try {
+    const waypoints = await plannedPathWaypoints();
+    await saveNewRoute(waypoints, { description: `Planned path (${mobilityProfile(plannedPath.mobility).label})` });
+  } catch (e) {
+    console.error("Save planned path error:", e);
+  }
+}
+
+// Save routes read from a dropped GPX/KML/GeoJSON file; undo takes them all back out
+async function importRoutes(routes, fileName) {
+  const baseName = fileName.replace(/\.[^.]+$/, "");
+  const entries = routes.map((r, i) => ({
+    details: {
+      name: r.name || (routes.length > 1 ? `${baseName} ${i + 1}` : baseName),
+      description: r.description ?? "",
+      ...(r.color ? { color: r.color } : {}),
+    },
+    // Keep only names that are not the generated ones (A1, A2...) of this route
+    waypoints: r.waypoints.map(({ name, lat, lon, alt }, j) =>
+      (name && name !== numberedName(r.name ?? "", j) ? { name, lat, lon, alt } : { lat, lon, alt })),
+  }));
+  // The stored route of each entry, null while it is not in the file. A save
+  // or revert that fails part way leaves the others done, and a retry only
+  // does what is left.
+  const saved = entries.map(() => null);
+  const commitImport = async () => {
+    try {
+      for (const [i, { details, waypoints }] of entries.entries()) {
+        if (!saved[i]) saved[i] = await saveRoute(details, waypoints);
+      }
+      console.log(`Imported ${saved.length} route(s) from ${fileName}`);
+      return true;
+    } catch (e) {
+      console.error("Import error:", e);
+      return false;
+    } finally {
+      await loadWaypoints();
+    }
+  };
+  const revertImport = async () => {
+    const results = await Promise.allSettled(saved.map(r => (r ? revertRoute(r) : null)));
+    results.forEach((r, i) => {
+      if (r.status === "fulfilled") saved[i] = null;
+      else console.error("Revert error:", r.reason);
+    });
+    await loadWaypoints();
+    return saved.every(r => r === null);
+  };
+
+  await commitImport();
+  if (saved.every(r => r === null)) return;
+  recordAction({
+    label: `Import ${fileName}`,
+    undo: revertImport,
+    redo: commitImport,
+  });
+}
+
+// Planner cost areas (K); a new area takes the red route as its outline
+const costAreas = setupCostAreas(viewer, { newFromClicked: areaFromClickedRoute });
+
+function areaFromClickedRoute() {
+  if (clickedWaypointData.length < 3) {
+    console.warn("Click at least 3 points to outline an area");
+    return;
+  }
+  const before = costAreas.areas;
+  const outline = [...clickedWaypointData];
+  const after = [...before, makeArea(outline, { name: `Area ${before.length + 1}` })];
+  const apply = () => costAreas.setAreas(after).then((ok) => {
+    if (ok) clearClickedRoute();
+    return ok;
+  });
+  apply().then((ok) => {
+    if (!ok) return;
+    recordAction({
+      label: "Add area",
+      undo: () => costAreas.setAreas(before).then((undone) => {
+        if (undone) restoreClickedRoute(outline);
+        return undone;
+      }),
+      redo: apply,
+    });
+  });
+}
+
+// Observers for concealed routes; red points become OPs
+const observers = setupObservers(viewer, {
+  newFromClicked: opsFromClickedRoute,
+  selectedUnitId: () => orbatTree?.selectedId,
+});
+
+function opsFromClickedRoute() {
+  if (clickedWaypointData.length === 0) {
+    console.warn("Click the OP positions first");
+    return;
+  }
+  const before = observers.observers;
+  const points = [...clickedWaypointData];
+  const after = [...before, ...observers.makeOps(points)];
+  const apply = () => observers.setObservers(after).then((ok) => {
+    if (ok) clearClickedRoute();
+    return ok;
+  });
+  apply().then((ok) => {
+    if (!ok) return;
+    recordAction({
+      label: "Add OPs",
+      undo: () => observers.setObservers(before).then((undone) => {
+        if (undone) restoreClickedRoute(points);
+        return undone;
+      }),
+      redo: apply,
+    });
+  });
+}
+
+// Export form (G) and file drop import
+const exchange = setupExchange(viewer, {
+  // Saved routes with the waypoint names shown on the map
+  savedRoutes: () => savedRoutes.map(r => ({
+    ...r,
+    waypoints: r.waypoints.map((wp, i) => ({ ...wp, name: waypointName(r, i) })),
+  })),
+  clickedRoute: () => clickedWaypointData.map((wp, i) => ({ ...wp, name: numberedName(currentRouteName, i) })),
+  plannedPath: () => plannedPath?.positions ?? null,
+}, importRoutes, costAreas.importAreas);
+
+const elevationProfile = setupElevationProfile(viewer);
+
+const statsTable = setupStatsTable(viewer);
+
+const timetablePanel = setupTimetablePanel(viewer, {
+  onApply: (route, timetable) => {
+    const { timetable: _old, ...rest } = route;
+    const after = timetable ? { ...rest, timetable } : rest;
+    commitRouteEdit(route, after, `${timetable ? "Set" : "Clear"} timetable of ${route.name}`);
+  },
+});
+
+const flyThrough = setupFlyThrough(viewer);
+
+// Lines for the profile, stats, timetable and fly-through panels: { name, points, markers,
+// source }, where `source` tells whether a panel already shows that line
+function routeLine(route) {
+  return {
+    name: `Route ${route.name}`,
+    points: route.waypoints,
+    markers: route.waypoints.map((_, i) => ({ index: i, name: waypointName(route, i) })),
+    source: route,
+  };
+}
+
+function inspectedRouteLine() {
+  return inspectedEntity ? routeLine(waypointRouteInfo.get(inspectedEntity).route) : null;
+}
+
+// After routes reload, panels showing a saved route follow its new version
+function refreshRoutePanels(routes) {
+  for (const panel of [elevationProfile, statsTable, timetablePanel]) {
+    const id = panel.line?.source.id;
+    if (!id) continue;
+    const route = routes.find(r => r.id === id);
+    if (route) panel.show(routeLine(route)); else panel.hide();
+  }
+}
+
+function plannedPathLine() {
+  if (!plannedPath) return null;
+  const points = plannedPath.positions.map((p) => {
+    const c = Cesium.Cartographic.fromCartesian(p);
+    return { lat: Cesium.Math.toDegrees(c.latitude), lon: Cesium.Math.toDegrees(c.longitude) };
+  });
+  return {
+    name: `Planned path (${mobilityProfile(plannedPath.mobility).label})`,
+    points,
+    markers: plannedPath.stops,
+    source: plannedPath,
+  };
+}
+
+function clickedRouteLine() {
+  if (clickedWaypointData.length < 2) return null;
+  return {
+    name: "Red route",
+    points: [...clickedWaypointData],
+    markers: clickedWaypointData.map((_, i) => ({ index: i, name: numberedName(currentRouteName, i) })),
+    source: clickedWaypointData,
+  };
+}
+
+// Show `target` in the panel, or hide the panel when it already shows it unchanged
+function togglePanel(panel, target, emptyMessage) {
+  const shown = panel.line;
+  if (shown && (!target || (shown.source === target.source && shown.points.length === target.points.length))) {
+    panel.hide();
+  } else if (target) {
+    panel.show(target);
+  } else {
+    console.warn(emptyMessage);
+  }
 }
 
 document.addEventListener("keydown", (event) => {
-  // Military clustering keys (M, 1-4)
+  // Esc cancels a running path plan or visiting order
+  if (event.key === "Escape" && (cancelPlanning() || cancelOrder())) return;
+
+  // Ctrl+Z / Ctrl+Shift+Z
+  if (handleHistoryKeydown(event)) return;
+
+  // Military clustering keys (M, F, L, level keys)
   if (handleKeydown(event, viewer)) return;
 
-  if (event.key === "Delete" && clickedEntities.length > 0) {
-    viewer.entities.remove(clickedEntities.pop());
-    clickedGroundPositions.pop();
-    clickedWaypointData.pop();
-    removePath();
+  if (event.key === "Delete" && inspectedEntity) {
+    // Delete the inspected saved waypoint, or with Shift its whole route
+    const { route, routeIdx } = waypointRouteInfo.get(inspectedEntity);
+    if (!event.shiftKey) {
+      deleteWaypoint(inspectedEntity);
+    } else if (confirm(`Delete route ${route.name}?`)) {
+      removeRoute(route, routeIdx);
+    }
+  } else if ((event.key === "n" || event.key === "N") && inspectedEntity) {
+    editRouteDetails(inspectedEntity);
+  } else if (event.key === "Delete" && clickedEntities.length > 0) {
+    const wp = removeLastClickedWaypoint();
+    const path = removePath();
+    recordAction({
+      label: "Remove waypoint",
+      undo: () => { addClickedWaypoint(wp); restorePath(path); },
+      redo: () => { removeLastClickedWaypoint(); removePath(); },
+    });
+  } else if ((event.key === "s" || event.key === "S") && event.shiftKey) {
+    savePlannedPath();
   } else if (event.key === "s" || event.key === "S") {
     if (clickedWaypointData.length === 0) return;
-    fetch("/data/waypoints.json").then(r => r.json()).then((routes) => {
-      if (routes.length >= 26) {
-        console.warn("Maximum 26 routes (A-Z) reached, cannot save more");
-        return;
-      }
-      const letter = String.fromCharCode(65 + routes.length);
-      const route = clickedWaypointData.map((wp, i) => ({
-        name: `${letter}${i + 1}`,
-        lat: parseFloat(wp.lat.toFixed(6)),
-        lon: parseFloat(wp.lon.toFixed(6)),
-        alt: parseFloat(wp.alt.toFixed(6)),
-      }));
-      return fetch("/api/save-route", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(route),
-      });
-    }).then((res) => {
-      if (!res || !res.ok) return;
-      console.log("Route saved");
-      // Clear clicked points and path
-      for (const e of clickedEntities) viewer.entities.remove(e);
-      clickedEntities.length = 0;
-      clickedGroundPositions.length = 0;
-      clickedWaypointData.length = 0;
-      removePath();
-      // Reload saved routes
-      loadWaypoints();
-    }).catch((e) => console.error("Save error:", e));
+    saveNewRoute([...clickedWaypointData]);
   } else if (event.key === "c" || event.key === "C") {
     const cartographic = Cesium.Cartographic.fromCartesian(viewer.camera.position);
     const cameraData = {
@@ -814,13 +1419,35 @@ document.addEventListener("keydown", (event) => {
     };
     console.log("Camera view saved:", cameraData);
   } else if (event.key === "p" || event.key === "P") {
+    // P: through the red points in order; Shift+P: in the quickest order. Both
+    // plan for the mobility profile chosen in the planner panel (K).
     if (clickedWaypointData.length < 2) {
       console.warn("Need at least 2 clicked points for path planning");
       return;
     }
-    const start = clickedWaypointData[clickedWaypointData.length - 2];
-    const end = clickedWaypointData[clickedWaypointData.length - 1];
-    planPath(start, end);
+    if (event.shiftKey) planBestOrder(); else planPath([...clickedWaypointData]);
+  } else if (event.key === "o" || event.key === "O") {
+    orbatTree?.toggle();
+  } else if (event.key === "x" || event.key === "X") {
+    declutter.toggle();
+  } else if (event.key === "g" || event.key === "G") {
+    exchange.toggle();
+  } else if (event.key === "k" || event.key === "K") {
+    costAreas.toggle();
+  } else if (event.key === "h" || event.key === "H") {
+    togglePanel(elevationProfile, inspectedRouteLine() ?? plannedPathLine() ?? clickedRouteLine(),
+      "Nothing to profile: inspect a saved route, plan a path or click at least 2 points");
+  } else if (event.key === "i" || event.key === "I") {
+    togglePanel(timetablePanel, inspectedRouteLine(), "Inspect a saved route (click one of its pins) for its timetable");
+  } else if (event.key === "b" || event.key === "B") {
+    togglePanel(flyThrough, inspectedRouteLine() ?? plannedPathLine() ?? clickedRouteLine(),
+      "Nothing to fly: inspect a saved route, plan a path or click at least 2 points");
+  } else if (event.key === " " && flyThrough.active) {
+    event.preventDefault();
+    flyThrough.togglePause();
+  } else if (event.key === "t" || event.key === "T") {
+    togglePanel(statsTable, inspectedRouteLine() ?? plannedPathLine() ?? clickedRouteLine(),
+      "No route for the stats table: inspect a saved route or click at least 2 points");
   } else if (event.key === "Tab") {
     event.preventDefault();
     gridVisible = !gridVisible;
@@ -0,0 +1,42 @@
+import { TOBLER_PEAK_KMH, toblerSeconds } from "./geometry.js";
+
+// ---------------------------------------------------------------------------
+// Mobility profiles for the path planner: speed against grade, the steepest
+// grade that can be driven or walked up or down, and the steepest side slope
+// that can be crossed (grades as rise over run). People and pack animals
+// follow Tobler's hiking function scaled to their peak speed; vehicles slow
+// down linearly towards their grade limit. Plain numbers only, shared with
+// the planner worker.
+// ---------------------------------------------------------------------------
+
+export const DEFAULT_MOBILITY = "foot";
+
+export const MOBILITY_PROFILES = {
+  foot: { label: "Dismounted", model: "tobler", peakKmh: TOBLER_PEAK_KMH, maxGrade: 1, maxSideGrade: 1 },
+  mule: { label: "Mule", model: "tobler", peakKmh: 5, maxGrade: 0.6, maxSideGrade: 0.4 },
+  wheeled: { label: "Light wheeled", model: "vehicle", peakKmh: 40, maxGrade: 0.3, maxSideGrade: 0.2 },
+  tracked: { label: "Tracked", model: "vehicle", peakKmh: 30, maxGrade: 0.6, maxSideGrade: 0.4 },
+};
+
+// Fraction of the peak speed lost at the grade limit, uphill and downhill
+const VEHICLE_UPHILL_LOSS = 0.8;
+const VEHICLE_DOWNHILL_LOSS = 0.5;
+
+export function mobilityProfile(id) {
+  return MOBILITY_PROFILES[id] ?? MOBILITY_PROFILES[DEFAULT_MOBILITY];
+}
+
+// Top speed in m/s on any grade (the A* heuristic's bound)
+export function peakSpeed(profile) {
+  return profile.peakKmh * 1000 / 3600;
+}
+
+// Seconds to cover `run` metres horizontally while rising `dh`; Infinity
+// where the grade is beyond the profile's limit
+export function moveSeconds(profile, run, dh) {
+  const grade = dh / run;
+  if (Math.abs(grade) > profile.maxGrade) return Infinity;
+  if (profile.model === "tobler") return toblerSeconds(run, dh) * TOBLER_PEAK_KMH / profile.peakKmh;
+  const loss = grade > 0 ? VEHICLE_UPHILL_LOSS : VEHICLE_DOWNHILL_LOSS;
+  return run / (peakSpeed(profile) * (1 - loss * Math.abs(grade) / profile.maxGrade));
+}
@@ -0,0 +1,174 @@
+import * as Cesium from "cesium";
+import { recordAction } from "./history.js";
+import { getForces, getDisplayedUnits, isHostile, unitLocation } from "./clustering.js";
+
+// ---------------------------------------------------------------------------
+// Observers for concealment-aware path planning: hand-placed OPs and units
+// picked in the ORBAT tree, optionally joined by every hostile unit on the
+// map. The planner penalises cells they can see (line of sight over its
+// height grid, see astarWorker.js). Kept in data/observers.json as
+// { id, name, uid } for units (followed as they move) or
+// { id, name, lat, lon, alt } for OPs. Shown in the planner panel (K).
+// ---------------------------------------------------------------------------
+
+function saveObservers(observers) {
+  return fetch("/api/save-observers", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ observers }),
+  }).then((res) => {
+    if (!res.ok) throw new Error(`Saving observers failed (${res.status})`);
+  });
+}
+
+function findUnit(uid) {
+  for (const force of getForces()) {
+    const node = force.nodes.find(n => n.uid === uid);
+    if (node) return node;
+  }
+  return null;
+}
+
+// { lat, lon, alt } of an observer, or null for a unit no longer loaded
+function observerLocation(o) {
+  if (!o.uid) return { lat: o.lat, lon: o.lon, alt: o.alt };
+  const node = findUnit(o.uid);
+  return node ? unitLocation(node) : null;
+}
+
+// `newFromClicked()` is called by the "OPs from red points" button,
+// `selectedUnitId()` gives the unit selected in the ORBAT tree
+export function setupObservers(viewer, { newFromClicked, selectedUnitId }) {
+  const section = document.getElementById("observers-section");
+  const list = document.getElementById("observers-list");
+  const hostileInput = section.querySelector("[name=hostile]");
+  const weightInput = section.querySelector("[name=exposureWeight]");
+  const rangeInput = section.querySelector("[name=observationRange]");
+
+  let observers = [];
+  const entities = new Map(); // OP id -> entity
+
+  function draw(o) {
+    entities.set(o.id, viewer.entities.add({
+      position: Cesium.Cartesian3.fromDegrees(o.lon, o.lat, o.alt + 50),
+      point: {
+        pixelSize: 10,
+        color: Cesium.Color.MAGENTA,
+        outlineColor: Cesium.Color.WHITE,
+        outlineWidth: 2,
+      },
+      label: {
+        text: o.name,
+        font: "16px sans-serif",
+        style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+        outlineWidth: 2,
+        verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+        pixelOffset: new Cesium.Cartesian2(0, -15),
+      },
+      polyline: {
+        positions: Cesium.Cartesian3.fromDegreesArrayHeights([o.lon, o.lat, o.alt + 50, o.lon, o.lat, o.alt - 500]),
+        width: 1,
+        material: Cesium.Color.MAGENTA,
+      },
+    }));
+  }
+
+  function makeRow(o) {
+    const row = document.createElement("div");
+    row.className = "areas-row";
+
+    const name = document.createElement("span");
+    name.className = "areas-name";
+    name.textContent = o.uid ? `${o.name} (unit)` : o.name;
+    name.title = "Fly to observer";
+    name.addEventListener("click", () => {
+      const at = observerLocation(o);
+      if (at) viewer.camera.flyTo({ destination: Cesium.Cartesian3.fromDegrees(at.lon, at.lat, at.alt + 3000) });
+    });
+    row.appendChild(name);
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.textContent = "✕";
+    remove.title = "Delete observer";
+    remove.addEventListener("click", () => change(`Delete observer ${o.name}`, observers.filter(x => x.id !== o.id)));
+    row.appendChild(remove);
+    return row;
+  }
+
+  function render() {
+    for (const e of entities.values()) viewer.entities.remove(e);
+    entities.clear();
+    for (const o of observers) if (!o.uid) draw(o);
+    list.replaceChildren(...observers.map(makeRow));
+    if (observers.length === 0) list.textContent = "No observers";
+  }
+
+  // Show and store `next`. Resolves to whether the file took it; when it did
+  // not, the list from before comes back.
+  function setObservers(next) {
+    const before = observers;
+    observers = next;
+    render();
+    return saveObservers(observers).then(() => true, (e) => {
+      console.error(e.message);
+      if (observers === next) {
+        observers = before;
+        render();
+      }
+      return false;
+    });
+  }
+
+  // A change of the observer list, undoable once stored
+  function change(label, next) {
+    const before = observers;
+    setObservers(next).then((ok) => {
+      if (ok) recordAction({ label, undo: () => setObservers(before), redo: () => setObservers(next) });
+    });
+  }
+
+  section.querySelector("[name=opFromClicked]").addEventListener("click", () => newFromClicked());
+  section.querySelector("[name=unitObserver]").addEventListener("click", () => {
+    const node = findUnit(selectedUnitId());
+    if (!node) {
+      console.warn("Select a unit in the ORBAT tree (O) first");
+      return;
+    }
+    if (observers.some(o => o.uid === node.uid)) return;
+    change(`Add observer ${node.name}`, [...observers, { id: crypto.randomUUID(), name: node.name, uid: node.uid }]);
+  });
+
+  fetch("/data/observers.json")
+    .then(res => (res.ok ? res.json() : []))
+    .catch(() => [])
+    .then((loaded) => {
+      observers = loaded;
+      render();
+    });
+
+  return {
+    get observers() {
+      return observers;
+    },
+    setObservers,
+    // Observers as OPs named "OP n" at the given points
+    makeOps(points) {
+      const taken = observers.filter(o => !o.uid).length;
+      return points.map(({ lat, lon, alt }, i) => ({ id: crypto.randomUUID(), name: `OP ${taken + i + 1}`, lat, lon, alt }));
+    },
+    // Planner cost term ({ observers: [{ lat, lon, alt }], weight, range }), or null when off
+    concealment() {
+      const weight = Math.max(0, Number(weightInput.value) || 0);
+      const range = Math.max(0, Number(rangeInput.value) || 0);
+      const positions = observers.map(observerLocation).filter(Boolean);
+      if (hostileInput.checked) {
+        const listed = new Set(observers.map(o => o.uid));
+        for (const { node } of getDisplayedUnits()) {
+          if (isHostile(node) && !listed.has(node.uid)) positions.push(unitLocation(node));
+        }
+      }
+      return weight > 0 && range > 0 && positions.length > 0 ? { observers: positions, weight, range } : null;
+    },
+  };
+}
@@ -0,0 +1,145 @@
+import {
+  getSymbolImage, isExpanded, mergeNode, unmergeNode, flyToUnit, onUnitsChanged,
+  getActiveForce, setActiveForce, setForceVisible, forceColor,
+} from "./clustering.js";
+
+// ---------------------------------------------------------------------------
+// Order-of-battle tree panel, one section per force. Expansion mirrors the
+// merge state on the map: a unit is expanded exactly when it is exploded into
+// its children.
+// ---------------------------------------------------------------------------
+
+const ICON_SIZE = 22;
+
+const iconUrls = new Map(); // canvas -> data URL
+function iconUrl(node) {
+  const canvas = getSymbolImage(node);
+  if (!iconUrls.has(canvas)) iconUrls.set(canvas, canvas.toDataURL());
+  return iconUrls.get(canvas);
+}
+
+// Tooltip text for a unit's aggregated strength, readiness and equipment
+function describeTotals(t) {
+  if (!t || !t.reported) return "";
+  const lines = [];
+  if (t.authorized > 0) lines.push(`Strength: ${t.current}/${t.authorized}`);
+  if (t.readiness) lines.push(`Readiness: ${t.readiness}`);
+  const equipment = Object.entries(t.equipment).map(([kind, count]) => `${count} ${kind}`);
+  if (equipment.length > 0) lines.push(`Equipment: ${equipment.join(", ")}`);
+  return lines.join("\n");
+}
+
+export function setupOrbatTree(viewer, forces) {
+  const panel = document.getElementById("orbat-panel");
+  const list = document.getElementById("orbat-tree");
+  let selectedId = null;
+
+  function makeRow(node, depth, { toggle, role } = {}) {
+    const row = document.createElement("div");
+    row.className = "orbat-row";
+    row.dataset.id = node.uid;
+    row.style.paddingLeft = `${depth * 14}px`;
+    if (node.uid === selectedId) row.classList.add("selected");
+
+    const arrow = document.createElement("span");
+    arrow.className = "orbat-toggle";
+    if (toggle) {
+      arrow.textContent = toggle === "expanded" ? "▾" : "▸";
+      arrow.addEventListener("click", (e) => {
+        e.stopPropagation();
+        if (toggle === "expanded") mergeNode(node); else unmergeNode(node);
+      });
+    }
+    row.appendChild(arrow);
+
+    const icon = document.createElement("img");
+    icon.src = iconUrl(node);
+    icon.width = ICON_SIZE;
+    icon.height = ICON_SIZE;
+    row.appendChild(icon);
+
+    const label = document.createElement("span");
+    label.textContent = role ? `${node.name} (${role})` : node.name;
+    if (role) label.className = "orbat-staff";
+    row.appendChild(label);
+
+    const status = describeTotals(node.totals);
+    if (status) row.title = status;
+
+    row.addEventListener("click", () => select(node.uid));
+    row.addEventListener("dblclick", () => flyToUnit(viewer, node));
+    return row;
+  }
+
+  function renderNode(node, depth) {
+    const expanded = isExpanded(node);
+    const toggle = node.children.length === 0 ? null : expanded ? "expanded" : "collapsed";
+    list.appendChild(makeRow(node, depth, { toggle }));
+    if (!expanded) return;
+    if (node.commander) list.appendChild(makeRow(node.commander, depth + 1, { role: "commander" }));
+    for (const s of node.staff ?? []) list.appendChild(makeRow(s, depth + 1, { role: "staff" }));
+    for (const child of node.children) renderNode(child, depth + 1);
+  }
+
+  function makeForceHeader(force) {
+    const header = document.createElement("div");
+    header.className = "orbat-force";
+    if (force === getActiveForce()) header.classList.add("active");
+
+    const visible = document.createElement("input");
+    visible.type = "checkbox";
+    visible.checked = force.visible;
+    visible.title = "Show on map";
+    visible.addEventListener("click", (e) => e.stopPropagation());
+    visible.addEventListener("change", () => setForceVisible(force, visible.checked));
+    header.appendChild(visible);
+
+    const label = document.createElement("span");
+    label.textContent = force.name ?? force.id;
+    label.style.color = forceColor(force);
+    header.appendChild(label);
+
+    // Level-of-detail mode, switched with L
+    const lod = document.createElement("span");
+    lod.className = "orbat-lod";
+    lod.textContent = force.lod;
+    lod.title = "Level of detail: by echelon (level) or by screen spacing (density); L switches";
+    header.appendChild(lod);
+
+    // Clicking a force makes it the target of the number keys, L and M
+    header.addEventListener("click", () => setActiveForce(force));
+    return header;
+  }
+
+  function render() {
+    list.textContent = "";
+    for (const force of forces) {
+      list.appendChild(makeForceHeader(force));
+      if (force.visible) renderNode(force.rootNode, 0);
+    }
+  }
+
+  function select(id) {
+    selectedId = id;
+    for (const row of list.querySelectorAll(".orbat-row")) {
+      row.classList.toggle("selected", row.dataset.id === id);
+    }
+  }
+
+  onUnitsChanged((focusNode) => {
+    if (focusNode) selectedId = focusNode.uid;
+    render();
+    if (focusNode) list.querySelector(`[data-id="${focusNode.uid}"]`)?.scrollIntoView({ block: "nearest" });
+  });
+
+  render();
+
+  return {
+    toggle() {
+      panel.style.display = panel.style.display === "none" ? "" : "none";
+    },
+    get selectedId() {
+      return selectedId;
+    },
+  };
+}
@@ -0,0 +1,153 @@
+import * as Cesium from "cesium";
+import { DEFAULT_MOBILITY } from "./mobility.js";
+
+// ---------------------------------------------------------------------------
+// Main-thread side of the A* planner (astarWorker.js). The worker builds the
+// grid and runs the search; terrain is sampled here in batches, so both
+// phases can report progress. With `options.water` the terrain's water mask
+// (quantized-mesh tiles fetched at WATER_MASK_LEVEL) turns lakes and sea into
+// impassable cells. cancelPlanning() terminates the worker and rejects the
+// running search with an AbortError.
+// ---------------------------------------------------------------------------
+
+const SAMPLE_BATCH = 4000;
+const WATER_MASK_LEVEL = 10; // tiles of about 20 km, mask pixels of about 80 m
+
+let worker = null;
+let running = null; // { reject } of the search in progress
+
+function getWorker() {
+  if (!worker) worker = new Worker(new URL("./astarWorker.js", import.meta.url), { type: "module" });
+  return worker;
+}
+
+// Whether the mask pixel under lat/lon is water. A mask is a single byte for
+// a tile that is all land or all water, else 256 x 256 bytes from the
+// north-west corner, row by row; 255 is water.
+function maskIsWater(mask, rectangle, lat, lon) {
+  if (mask.length === 1) return mask[0] >= 128;
+  const size = Math.sqrt(mask.length);
+  const u = (Cesium.Math.toRadians(lon) - rectangle.west) / rectangle.width;
+  const v = (rectangle.north - Cesium.Math.toRadians(lat)) / rectangle.height;
+  const col = Math.min(size - 1, Math.max(0, Math.floor(u * size)));
+  const row = Math.min(size - 1, Math.max(0, Math.floor(v * size)));
+  return mask[row * size + col] >= 128;
+}
+
+// 1 for every cell on water, from the water masks of the terrain tiles
+async function sampleWater(terrainProvider, lats, lons) {
+  const water = new Uint8Array(lats.length);
+  if (!terrainProvider.hasWaterMask) {
+    console.warn("The terrain has no water mask; lakes are not avoided");
+    return water;
+  }
+  const scheme = terrainProvider.tilingScheme;
+  const tiles = new Map(); // "level/x/y" -> cell indices
+  for (let i = 0; i < lats.length; i++) {
+    const carto = Cesium.Cartographic.fromDegrees(lons[i], lats[i]);
+    let level = WATER_MASK_LEVEL;
+    let xy = scheme.positionToTileXY(carto, level);
+    while (level > 0 && terrainProvider.getTileDataAvailable(xy.x, xy.y, level) === false) {
+      xy = scheme.positionToTileXY(carto, --level);
+    }
+    const key = `${level}/${xy.x}/${xy.y}`;
+    if (!tiles.has(key)) tiles.set(key, []);
+    tiles.get(key).push(i);
+  }
+  await Promise.all([...tiles].map(async ([key, cells]) => {
+    const [level, x, y] = key.split("/").map(Number);
+    let data;
+    try {
+      data = await terrainProvider.requestTileGeometry(x, y, level);
+    } catch {
+      return; // a missing tile counts as land
+    }
+    const mask = data?.waterMask;
+    if (!mask) return;
+    const rectangle = scheme.tileXYToRectangle(x, y, level);
+    for (const i of cells) {
+      if (maskIsWater(mask, rectangle, lats[i], lons[i])) water[i] = 1;
+    }
+  }));
+  return water;
+}
+
+async function sampleHeights(terrainProvider, lats, lons, onProgress, isCancelled) {
+  const heights = new Float64Array(lats.length);
+  for (let from = 0; from < lats.length; from += SAMPLE_BATCH) {
+    const to = Math.min(lats.length, from + SAMPLE_BATCH);
+    const batch = [];
+    for (let i = from; i < to; i++) batch.push(Cesium.Cartographic.fromDegrees(lons[i], lats[i]));
+    const sampled = await Cesium.sampleTerrainMostDetailed(terrainProvider, batch);
+    if (isCancelled()) return null;
+    sampled.forEach((c, i) => { heights[from + i] = c.height ?? NaN; });
+    onProgress({ phase: "terrain", fraction: to / lats.length });
+  }
+  return heights;
+}
+
+// Resolves to { path, exposure }: path is [{ lat, lon }] or null when no path
+// exists, exposure the grid to pass as concealment.coarse to a fine pass.
+// `options` is { mobility, areas, water, concealment } (see astarWorker.js;
+// mobility defaults to dismounted); onProgress gets
+// { phase: "terrain" | "sight" | "search", fraction }.
+export function runAStar(terrainProvider, bounds, stepMeters, start, end, corridor, options = {}, onProgress = () => {}) {
+  if (running) cancelPlanning();
+  return new Promise((resolve, reject) => {
+    const w = getWorker();
+    const self = { reject };
+    running = self;
+    const isCancelled = () => running !== self;
+    const finish = () => {
+      if (running === self) running = null;
+    };
+
+    w.onerror = (e) => {
+      finish();
+      reject(new Error(`Path planner worker failed: ${e.message}`));
+    };
+    w.onmessage = async ({ data }) => {
+      if (isCancelled()) return;
+      if (data.type === "cells") {
+        console.log("Sampling terrain...");
+        try {
+          const heights = await sampleHeights(terrainProvider, data.lats, data.lons, onProgress, isCancelled);
+          if (heights && options.water) {
+            const water = await sampleWater(terrainProvider, data.lats, data.lons);
+            if (isCancelled()) return;
+            water.forEach((wet, i) => { if (wet) heights[i] = NaN; });
+          }
+          if (heights && !isCancelled()) w.postMessage({ type: "heights", heights }, [heights.buffer]);
+        } catch (e) {
+          finish();
+          reject(e);
+        }
+      } else if (data.type === "progress") {
+        onProgress({ phase: data.phase, fraction: data.fraction });
+      } else if (data.type === "done") {
+        finish();
+        resolve({ path: data.path, exposure: data.exposure });
+      }
+    };
+    w.postMessage({
+      type: "plan", bounds, stepMeters, start, end, corridor,
+      mobility: options.mobility ?? DEFAULT_MOBILITY,
+      areas: options.areas ?? [], concealment: options.concealment ?? null,
+    });
+  });
+}
+
+export function cancelPlanning() {
+  if (!running) return false;
+  const { reject } = running;
+  running = null;
+  // The search loop cannot be interrupted; a fresh worker is made next time
+  worker?.terminate();
+  worker = null;
+  reject(new DOMException("Path planning cancelled", "AbortError"));
+  return true;
+}
+
+export function isPlanning() {
+  return running !== null;
+}
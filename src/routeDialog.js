@@ -0,0 +1,75 @@
+import { getForces } from "./clustering.js";
+
+// ---------------------------------------------------------------------------
+// Route details form (name, colour, description, owning unit), shown when a
+// route is saved (S) or edited (N on an inspected waypoint). Resolves to the
+// edited fields, or null when cancelled.
+// ---------------------------------------------------------------------------
+
+const form = document.getElementById("route-dialog");
+const nameInput = form.querySelector("[name=name]");
+const colorInput = form.querySelector("[name=color]");
+const descriptionInput = form.querySelector("[name=description]");
+const ownerInput = form.querySelector("[name=owner]");
+const ownerList = document.getElementById("route-owner-units");
+
+let pending = null; // resolve function of the open dialog
+let colorChosen = false; // the route already has a colour, or the user picked one
+
+// Owner suggestions: every unit uid (force:id) with its name
+function fillOwnerList() {
+  ownerList.replaceChildren();
+  for (const force of getForces()) {
+    for (const node of force.nodes) {
+      if (node.isStaff) continue;
+      const option = document.createElement("option");
+      option.value = node.uid;
+      option.label = node.name;
+      ownerList.appendChild(option);
+    }
+  }
+}
+
+function close(result) {
+  form.hidden = true;
+  const resolve = pending;
+  pending = null;
+  resolve?.(result);
+}
+
+export function openRouteDialog(route) {
+  if (pending) close(null);
+  fillOwnerList();
+  nameInput.value = route.name ?? "";
+  colorInput.value = route.color?.toLowerCase() ?? "#ffffff";
+  colorChosen = Boolean(route.color);
+  descriptionInput.value = route.description ?? "";
+  ownerInput.value = route.ownerUnitId ?? "";
+  form.hidden = false;
+  nameInput.focus();
+  nameInput.select();
+  return new Promise((resolve) => { pending = resolve; });
+}
+
+form.addEventListener("submit", (event) => {
+  event.preventDefault();
+  const name = nameInput.value.trim();
+  if (!name) return;
+  const details = {
+    name,
+    description: descriptionInput.value.trim(),
+    ownerUnitId: ownerInput.value.trim() || null,
+  };
+  // A new route without a chosen colour gets one from the server palette
+  if (colorChosen) details.color = colorInput.value;
+  close(details);
+});
+
+colorInput.addEventListener("input", () => { colorChosen = true; });
+form.querySelector("[name=cancel]").addEventListener("click", () => close(null));
+
+// Keep typing out of the map shortcuts
+form.addEventListener("keydown", (event) => {
+  event.stopPropagation();
+  if (event.key === "Escape") close(null);
+});
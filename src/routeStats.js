@@ -0,0 +1,117 @@
+import * as Cesium from "cesium";
+import { toblerSeconds } from "./geometry.js";
+import { moveSeconds, peakSpeed } from "./mobility.js";
+
+// ---------------------------------------------------------------------------
+// Route statistics from terrain sampled along each leg rather than straight
+// chords between the clicked altitudes: ground distance, climb, descent,
+// steepest grade and walking time. Walking time uses the Swiss/DIN 33466
+// hiking formula (4 km/h on the flat, 300 m/h up, 500 m/h down; the larger of
+// the horizontal and vertical times plus half the smaller). Each leg also
+// carries its time at Tobler's hiking function (6 km/h peak, the planner's
+// dismounted profile) for the movement timetable, and the rise of every
+// sampled step so other speed models can be applied to it.
+// ---------------------------------------------------------------------------
+
+const LEG_SPACING_M = 20;
+const MAX_SAMPLES_PER_LEG = 500;
+const FLAT_SPEED_MPS = 4000 / 3600;
+const CLIMB_RATE_MPS = 300 / 3600;
+const DESCENT_RATE_MPS = 500 / 3600;
+const MAX_CACHED_LEGS = 1000;
+// Speed on a sampled step beyond a profile's grade limit, as a fraction of
+// its peak: the planner would go round, so the step is slow, not impassable
+const DETOUR_SPEED = 0.1;
+
+const legCache = new Map(); // "lat,lon|lat,lon" -> Promise<leg stats>
+
+function walkingTime(horizontal, climb, descent) {
+  const h = horizontal / FLAT_SPEED_MPS;
+  const v = climb / CLIMB_RATE_MPS + descent / DESCENT_RATE_MPS;
+  return Math.max(h, v) + Math.min(h, v) / 2;
+}
+
+async function sampleLeg(terrainProvider, a, b) {
+  const geodesic = new Cesium.EllipsoidGeodesic(
+    Cesium.Cartographic.fromDegrees(a.lon, a.lat),
+    Cesium.Cartographic.fromDegrees(b.lon, b.lat),
+  );
+  const steps = Math.min(MAX_SAMPLES_PER_LEG, Math.max(1, Math.ceil(geodesic.surfaceDistance / LEG_SPACING_M)));
+  const cartographics = [];
+  for (let s = 0; s <= steps; s++) cartographics.push(geodesic.interpolateUsingFraction(s / steps));
+  const sampled = await Cesium.sampleTerrainMostDetailed(terrainProvider, cartographics);
+
+  const run = geodesic.surfaceDistance / steps;
+  let groundDist = 0, climb = 0, descent = 0, maxSlope = 0, toblerTime = 0;
+  const rises = new Float64Array(steps);
+  for (let i = 1; i < sampled.length; i++) {
+    const dh = (sampled[i].height ?? 0) - (sampled[i - 1].height ?? 0);
+    rises[i - 1] = dh;
+    groundDist += Math.hypot(run, dh);
+    if (dh > 0) climb += dh; else descent -= dh;
+    if (run > 0) {
+      maxSlope = Math.max(maxSlope, Math.abs(dh / run) * 100);
+      toblerTime += toblerSeconds(run, dh);
+    }
+  }
+  return {
+    horizontalDist: geodesic.surfaceDistance,
+    groundDist,
+    climb,
+    descent,
+    maxSlope,
+    time: walkingTime(geodesic.surfaceDistance, climb, descent),
+    toblerTime,
+    run,
+    rises,
+  };
+}
+
+// Seconds for a leg (from legStats) at a mobility profile's speeds
+export function legSeconds(leg, profile) {
+  if (leg.run === 0) return 0;
+  let total = 0;
+  for (const dh of leg.rises) {
+    const t = moveSeconds(profile, leg.run, dh);
+    total += t === Infinity ? leg.run / (peakSpeed(profile) * DETOUR_SPEED) : t;
+  }
+  return total;
+}
+
+// Stats of the leg from `a` to `b` ({ lat, lon }); legs are cached by their end points
+export function legStats(terrainProvider, a, b) {
+  const key = `${a.lat},${a.lon}|${b.lat},${b.lon}`;
+  if (!legCache.has(key)) {
+    if (legCache.size >= MAX_CACHED_LEGS) legCache.delete(legCache.keys().next().value);
+    const promise = sampleLeg(terrainProvider, a, b);
+    promise.catch(() => legCache.delete(key));
+    legCache.set(key, promise);
+  }
+  return legCache.get(key);
+}
+
+// Per-leg stats of a waypoint list plus the running totals at each waypoint:
+// { legs: [...], cumulative: [{ groundDist, climb, descent, maxSlope, time }] }
+// where cumulative[i] covers waypoints 0..i
+export async function routeStats(terrainProvider, waypoints) {
+  const legs = await Promise.all(
+    waypoints.slice(1).map((wp, i) => legStats(terrainProvider, waypoints[i], wp)),
+  );
+  const cumulative = [{ groundDist: 0, climb: 0, descent: 0, maxSlope: 0, time: 0 }];
+  for (const leg of legs) {
+    const prev = cumulative[cumulative.length - 1];
+    cumulative.push({
+      groundDist: prev.groundDist + leg.groundDist,
+      climb: prev.climb + leg.climb,
+      descent: prev.descent + leg.descent,
+      maxSlope: Math.max(prev.maxSlope, leg.maxSlope),
+      time: prev.time + leg.time,
+    });
+  }
+  return { legs, cumulative };
+}
+
+export function formatDuration(seconds) {
+  const minutes = Math.round(seconds / 60);
+  return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, "0")}`;
+}
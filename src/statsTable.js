@@ -0,0 +1,124 @@
+import { routeStats, formatDuration, legSeconds } from "./routeStats.js";
+import { mobilityProfile } from "./mobility.js";
+import { download, fileNameFor } from "./download.js";
+
+// ---------------------------------------------------------------------------
+// Leg-by-leg route statistics table (terrain-sampled, see routeStats.js) with
+// a CSV download. A planned path is timed at its mobility profile's speeds,
+// other lines at walking pace.
+// ---------------------------------------------------------------------------
+
+const COLUMNS = ["Leg", "Ground distance (m)", "Climb (m)", "Descent (m)", "Max slope (%)", "Walking time"];
+
+function columns(profile) {
+  return profile ? [...COLUMNS.slice(0, -1), `Time (${profile.label})`] : COLUMNS;
+}
+
+function rowValues(label, s) {
+  return [
+    label,
+    Math.round(s.groundDist),
+    Math.round(s.climb),
+    Math.round(s.descent),
+    Math.round(s.maxSlope),
+    formatDuration(s.time),
+  ];
+}
+
+function csvCell(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function setupStatsTable(viewer) {
+  const panel = document.getElementById("stats-panel");
+  const title = document.getElementById("stats-title");
+  const table = document.getElementById("stats-table");
+  const csvButton = document.getElementById("stats-csv");
+
+  let line = null; // { name, points: [{ lat, lon }], markers: [{ index, name }], source }
+  let rows = [];
+  let profile = null; // mobility profile of a planned path
+  let request = 0;
+
+  function render() {
+    const head = document.createElement("tr");
+    for (const c of columns(profile)) {
+      const th = document.createElement("th");
+      th.textContent = c;
+      head.appendChild(th);
+    }
+    const body = rows.map((values, i) => {
+      const tr = document.createElement("tr");
+      if (i === rows.length - 1) tr.className = "stats-total";
+      for (const v of values) {
+        const td = document.createElement("td");
+        td.textContent = v;
+        tr.appendChild(td);
+      }
+      return tr;
+    });
+    table.replaceChildren(head, ...body);
+  }
+
+  csvButton.addEventListener("click", () => {
+    if (!line || rows.length === 0) return;
+    const csv = [columns(profile), ...rows].map(r => r.map(csvCell).join(",")).join("\n") + "\n";
+    download(new Blob([csv], { type: "text/csv" }), `${fileNameFor(line.name)}_stats.csv`);
+  });
+
+  async function show(newLine) {
+    line = newLine;
+    rows = [];
+    profile = line.source?.mobility ? mobilityProfile(line.source.mobility) : null;
+    table.replaceChildren();
+    panel.hidden = false;
+    title.textContent = `${line.name}: sampling terrain…`;
+
+    const id = ++request;
+    let stats;
+    try {
+      stats = await routeStats(viewer.terrainProvider, line.points);
+    } catch (e) {
+      if (id === request) title.textContent = `${line.name}: ${e.message}`;
+      return;
+    }
+    if (id !== request) return;
+    const { legs, cumulative } = stats;
+    const legTime = profile ? leg => legSeconds(leg, profile) : leg => leg.time;
+
+    // One row per stretch between markers (a planned path has markers only at its stops)
+    const last = line.points.length - 1;
+    const stops = line.markers.length > 0 ? line.markers : [{ index: 0, name: "Start" }, { index: last, name: "End" }];
+    rows = stops.slice(1).map((stop, k) => {
+      const from = stops[k];
+      const section = legs.slice(from.index, stop.index);
+      const sum = key => section.reduce((s, leg) => s + leg[key], 0);
+      return rowValues(`${from.name} → ${stop.name}`, {
+        groundDist: sum("groundDist"),
+        climb: sum("climb"),
+        descent: sum("descent"),
+        maxSlope: Math.max(0, ...section.map(leg => leg.maxSlope)),
+        time: section.reduce((s, leg) => s + legTime(leg), 0),
+      });
+    });
+    const total = cumulative[cumulative.length - 1];
+    rows.push(rowValues("Total", { ...total, time: legs.reduce((s, leg) => s + legTime(leg), 0) }));
+    title.textContent = line.name;
+    render();
+  }
+
+  function hide() {
+    request++;
+    line = null;
+    panel.hidden = true;
+  }
+
+  return {
+    show,
+    hide,
+    get line() {
+      return line;
+    },
+  };
+}
@@ -0,0 +1,232 @@
+import { routeStats, formatDuration } from "./routeStats.js";
+
+// ---------------------------------------------------------------------------
+// Movement timetable for a saved route: leg times from Tobler's hiking
+// function scaled by a movement profile, with halts inserted after every
+// `haltEvery` minutes on the move. Settings are stored on the route as
+// timetable: { start, profile, haltEvery, haltMinutes } and give the ETAs
+// shown in its waypoint labels. The panel previews changes; Apply saves them.
+// ---------------------------------------------------------------------------
+
+// speed: fraction of Tobler's speed; haltEvery / haltMinutes: default halt rhythm
+export const MOVEMENT_PROFILES = {
+  loaded: { label: "Loaded infantry", speed: 0.7, haltEvery: 50, haltMinutes: 10 },
+  patrol: { label: "Light patrol", speed: 0.9, haltEvery: 60, haltMinutes: 5 },
+  night: { label: "Night march", speed: 0.5, haltEvery: 45, haltMinutes: 15 },
+};
+
+// Start of the next quarter hour
+function defaultStart() {
+  const t = new Date();
+  t.setSeconds(0, 0);
+  t.setMinutes(Math.ceil((t.getMinutes() + 1) / 15) * 15);
+  return t.toISOString();
+}
+
+export function defaultTimetable(profile = "loaded") {
+  const { haltEvery, haltMinutes } = MOVEMENT_PROFILES[profile];
+  return { start: defaultStart(), profile, haltEvery, haltMinutes };
+}
+
+// "14:35", with "+1" etc. for later days than the start
+export function formatClock(date, start) {
+  const hhmm = date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit", hour12: false });
+  const days = Math.round((new Date(date).setHours(0, 0, 0, 0) - new Date(start).setHours(0, 0, 0, 0)) / 86400000);
+  return days > 0 ? `${hhmm} +${days}` : hhmm;
+}
+
+// Timetable rows ({ kind: "start" | "waypoint" | "halt" | "end", name, dist, legTime,
+// arrive, depart }) and the arrival time at each waypoint
+export async function computeTimetable(terrainProvider, waypoints, names, settings) {
+  const profile = MOVEMENT_PROFILES[settings.profile] ?? MOVEMENT_PROFILES.loaded;
+  const { legs } = await routeStats(terrainProvider, waypoints);
+  const start = Date.parse(settings.start);
+  const haltEvery = settings.haltEvery * 60;
+  const haltLength = settings.haltMinutes * 60 * 1000;
+
+  const legMoving = legs.map(l => l.toblerTime / profile.speed);
+  const totalMoving = legMoving.reduce((s, t) => s + t, 0);
+  // Halts at every multiple of haltEvery on the move, none on arrival at the end
+  const halts = [];
+  if (haltEvery > 0 && haltLength > 0) {
+    for (let t = haltEvery; t < totalMoving - 1; t += haltEvery) halts.push(t);
+  }
+  // Clock time after `moving` seconds on the move, counting halts started before it
+  const clock = (moving, includeHaltAt = false) =>
+    new Date(start + moving * 1000 + halts.filter(h => h < moving || (includeHaltAt && h === moving)).length * haltLength);
+
+  const rows = [{ kind: "start", name: names[0], dist: 0, legTime: null, arrive: null, depart: new Date(start) }];
+  const arrivals = [new Date(start)];
+  let moving = 0, dist = 0;
+  legs.forEach((leg, i) => {
+    const legStart = moving;
+    moving += legMoving[i];
+    for (const h of halts.filter(h => h > legStart && h <= moving)) {
+      const frac = (h - legStart) / legMoving[i];
+      rows.push({
+        kind: "halt",
+        name: h === moving ? `Halt at ${names[i + 1]}` : `Halt ${(leg.groundDist * frac / 1000).toFixed(1)} km after ${names[i]}`,
+        dist: dist + leg.groundDist * frac,
+        legTime: null,
+        arrive: clock(h),
+        depart: clock(h, true),
+      });
+    }
+    dist += leg.groundDist;
+    const arrive = clock(moving);
+    arrivals.push(arrive);
+    rows.push({
+      kind: i === legs.length - 1 ? "end" : "waypoint",
+      name: names[i + 1],
+      dist,
+      legTime: legMoving[i],
+      arrive,
+      depart: i === legs.length - 1 ? null : clock(moving, true),
+    });
+  });
+  // A halt that falls exactly on a waypoint is listed after it
+  rows.sort((a, b) => (a.arrive ?? a.depart) - (b.arrive ?? b.depart) || (a.kind === "halt") - (b.kind === "halt"));
+  return { rows, arrivals, totalMoving, halts: halts.length };
+}
+
+export function setupTimetablePanel(viewer, { onApply }) {
+  const panel = document.getElementById("timetable-panel");
+  const title = document.getElementById("timetable-title");
+  const table = document.getElementById("timetable-table");
+  const summary = document.getElementById("timetable-summary");
+  const startInput = panel.querySelector("[name=start]");
+  const profileSelect = panel.querySelector("[name=profile]");
+  const haltEveryInput = panel.querySelector("[name=haltEvery]");
+  const haltMinutesInput = panel.querySelector("[name=haltMinutes]");
+
+  for (const [id, { label }] of Object.entries(MOVEMENT_PROFILES)) {
+    profileSelect.add(new Option(label, id));
+  }
+
+  let line = null; // { name, points, markers, source: route }
+  let request = 0;
+
+  // datetime-local wants local "YYYY-MM-DDTHH:MM"
+  function toLocalInput(iso) {
+    const d = new Date(iso);
+    return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+  }
+
+  // The settings in the form, or null while the start time is empty or invalid
+  function settings() {
+    const start = new Date(startInput.value);
+    if (!startInput.value || Number.isNaN(start.getTime())) return null;
+    return {
+      start: start.toISOString(),
+      profile: profileSelect.value,
+      haltEvery: Math.max(0, Number(haltEveryInput.value) || 0),
+      haltMinutes: Math.max(0, Number(haltMinutesInput.value) || 0),
+    };
+  }
+
+  function fill(t) {
+    startInput.value = toLocalInput(t.start);
+    profileSelect.value = t.profile;
+    haltEveryInput.value = t.haltEvery;
+    haltMinutesInput.value = t.haltMinutes;
+  }
+
+  function render({ rows, totalMoving, halts }, start) {
+    const head = document.createElement("tr");
+    for (const c of ["", "Distance (km)", "Leg time", "Arrive", "Depart"]) {
+      const th = document.createElement("th");
+      th.textContent = c;
+      head.appendChild(th);
+    }
+    const body = rows.map((r) => {
+      const tr = document.createElement("tr");
+      tr.className = `timetable-${r.kind}`;
+      const cells = [
+        r.name,
+        (r.dist / 1000).toFixed(1),
+        r.legTime === null ? "" : formatDuration(r.legTime),
+        r.arrive ? formatClock(r.arrive, start) : "",
+        r.depart ? formatClock(r.depart, start) : "",
+      ];
+      for (const v of cells) {
+        const td = document.createElement("td");
+        td.textContent = v;
+        tr.appendChild(td);
+      }
+      return tr;
+    });
+    table.replaceChildren(head, ...body);
+    const end = rows[rows.length - 1].arrive;
+    summary.textContent = `${formatDuration(totalMoving)} on the move, ${halts} halt(s), `
+      + `${formatDuration((end - Date.parse(start)) / 1000)} in total`;
+  }
+
+  async function refresh() {
+    if (!line) return;
+    const s = settings();
+    if (!s) {
+      title.textContent = `${line.name}: set a start time`;
+      return;
+    }
+    const id = ++request;
+    title.textContent = `${line.name}: sampling terrain…`;
+    const names = line.markers.map(m => m.name);
+    let result;
+    try {
+      result = await computeTimetable(viewer.terrainProvider, line.points, names, s);
+    } catch (e) {
+      if (id === request) title.textContent = `${line.name}: ${e.message}`;
+      return;
+    }
+    if (id !== request) return;
+    title.textContent = `${line.name}: ${MOVEMENT_PROFILES[s.profile].label}`;
+    render(result, s.start);
+  }
+
+  profileSelect.addEventListener("change", () => {
+    const { haltEvery, haltMinutes } = MOVEMENT_PROFILES[profileSelect.value];
+    haltEveryInput.value = haltEvery;
+    haltMinutesInput.value = haltMinutes;
+    refresh();
+  });
+  for (const input of [startInput, haltEveryInput, haltMinutesInput]) {
+    input.addEventListener("change", refresh);
+  }
+  panel.querySelector("[name=apply]").addEventListener("click", () => {
+    const s = settings();
+    if (!line) return;
+    if (s) onApply(line.source, s); else console.warn("Set a start time before applying the timetable");
+  });
+  panel.querySelector("[name=clear]").addEventListener("click", () => {
+    if (line?.source.timetable) onApply(line.source, null);
+  });
+  panel.querySelector("[name=print]").addEventListener("click", () => window.print());
+  // Keep typing in the fields out of the map shortcuts
+  panel.addEventListener("keydown", (event) => {
+    event.stopPropagation();
+    if (event.key === "Escape") hide();
+  });
+
+  function show(newLine) {
+    line = newLine;
+    fill(line.source.timetable ?? defaultTimetable());
+    table.replaceChildren();
+    summary.textContent = "";
+    panel.hidden = false;
+    refresh();
+  }
+
+  function hide() {
+    request++;
+    line = null;
+    panel.hidden = true;
+  }
+
+  return {
+    show,
+    hide,
+    get line() {
+      return line;
+    },
+  };
+}
@@ -0,0 +1,36 @@
+import { applyPositionReport, updateStaleUnits } from "./clustering.js";
+
+// ---------------------------------------------------------------------------
+// Live unit positions (blue-force tracking) from the dev server's WebSocket
+// feed. Each message is one report or an array of reports:
+//   { force?: "blue", id: "pl1", lat: 46.58, lon: 7.96, alt?: 1700, time?: ISO 8601 }
+// ---------------------------------------------------------------------------
+
+const RECONNECT_DELAY_MS = 3000;
+const STALE_CHECK_MS = 10000;
+
+export function setupUnitFeed({ staleMinutes = 5 } = {}) {
+  const staleMs = staleMinutes * 60 * 1000;
+
+  function connect() {
+    const protocol = location.protocol === "https:" ? "wss:" : "ws:";
+    const socket = new WebSocket(`${protocol}//${location.host}/api/unit-feed`);
+    socket.addEventListener("message", (event) => {
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch (_) {
+        return;
+      }
+      for (const report of Array.isArray(data) ? data : [data]) {
+        if (!applyPositionReport(report)) console.warn("Position report for unknown unit:", report.id);
+      }
+      // Old reports show as stale straight away rather than at the next check
+      updateStaleUnits(staleMs);
+    });
+    socket.addEventListener("close", () => setTimeout(connect, RECONNECT_DELAY_MS));
+  }
+
+  connect();
+  setInterval(() => updateStaleUnits(staleMs), STALE_CHECK_MS);
+}
@@ -0,0 +1,104 @@
+import { legStats, legSeconds } from "./routeStats.js";
+import { mobilityProfile } from "./mobility.js";
+
+// ---------------------------------------------------------------------------
+// Visiting order for multi-leg planning. The first and last points stay
+// where they are; the ones in between are reordered to minimise the total
+// time of the straight legs over sampled terrain for the mobility profile (a
+// cheap stand-in for planning every pair with A*). Small sets are solved
+// exactly, larger ones by nearest neighbour improved with 2-opt.
+// ---------------------------------------------------------------------------
+
+const EXACT_MAX_INTERMEDIATE = 7;
+
+function* permutations(items) {
+  if (items.length <= 1) {
+    yield items;
+    return;
+  }
+  for (let i = 0; i < items.length; i++) {
+    const rest = [...items.slice(0, i), ...items.slice(i + 1)];
+    for (const p of permutations(rest)) yield [items[i], ...p];
+  }
+}
+
+function orderCost(order, cost) {
+  let total = 0;
+  for (let i = 1; i < order.length; i++) total += cost[order[i - 1]][order[i]];
+  return total;
+}
+
+function exactOrder(n, cost) {
+  const middle = Array.from({ length: n - 2 }, (_, i) => i + 1);
+  let best = null, bestCost = Infinity;
+  for (const p of permutations(middle)) {
+    const order = [0, ...p, n - 1];
+    const c = orderCost(order, cost);
+    if (c < bestCost) {
+      bestCost = c;
+      best = order;
+    }
+  }
+  return best;
+}
+
+function heuristicOrder(n, cost) {
+  // Nearest neighbour from the start, end point last
+  const order = [0];
+  const left = new Set(Array.from({ length: n - 2 }, (_, i) => i + 1));
+  while (left.size > 0) {
+    const from = order[order.length - 1];
+    let next = null;
+    for (const j of left) if (next === null || cost[from][j] < cost[from][next]) next = j;
+    order.push(next);
+    left.delete(next);
+  }
+  order.push(n - 1);
+
+  // 2-opt: reverse inner stretches while that shortens the tour
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 1; i < n - 2; i++) {
+      for (let k = i + 1; k < n - 1; k++) {
+        const candidate = [...order.slice(0, i), ...order.slice(i, k + 1).reverse(), ...order.slice(k + 1)];
+        if (orderCost(candidate, cost) < orderCost(order, cost) - 1e-6) {
+          order.splice(0, n, ...candidate);
+          improved = true;
+        }
+      }
+    }
+  }
+  return order;
+}
+
+// `promise`, or a rejection with the abort reason as soon as `signal` aborts
+function abortable(promise, signal) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    const abort = () => reject(signal.reason);
+    if (signal.aborted) abort();
+    signal.addEventListener("abort", abort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", abort));
+  });
+}
+
+// Indices of `points` ({ lat, lon }) in the best visiting order for the
+// mobility profile `mobility` (a MOBILITY_PROFILES id). `onProgress(fraction)`
+// follows the terrain sampling; aborting `signal` rejects with an AbortError.
+export async function bestVisitOrder(terrainProvider, points, mobility, { signal, onProgress } = {}) {
+  const n = points.length;
+  if (n <= 3) return points.map((_, i) => i);
+  const profile = mobilityProfile(mobility);
+  const total = n * (n - 1);
+  let done = 0;
+  const sample = (a, b) => legStats(terrainProvider, a, b).then((leg) => {
+    onProgress?.(++done / total);
+    return leg;
+  });
+  const cost = await abortable(Promise.all(points.map(a => Promise.all(
+    points.map(b => (a === b ? null : sample(a, b))),
+  ))), signal);
+  const times = cost.map(row => row.map(leg => (leg ? legSeconds(leg, profile) : 0)));
+  return n - 2 <= EXACT_MAX_INTERMEDIATE ? exactOrder(n, times) : heuristicOrder(n, times);
+}
@@ -0,0 +1,14 @@
+// ---------------------------------------------------------------------------
+// Waypoint labels, shared by the app and the dev server (vite.config.js), so
+// a route's map labels and its exports name waypoints the same way.
+// ---------------------------------------------------------------------------
+
+// Route name and waypoint number: A1, A2... for one-letter names, "Recon 2" otherwise
+export function numberedName(routeName, i) {
+  return routeName.length === 1 ? `${routeName}${i + 1}` : `${routeName} ${i + 1}`;
+}
+
+// Label of a route's i-th waypoint: its own name, or its numbered name
+export function waypointName(route, i) {
+  return route.waypoints[i].name || numberedName(route.name, i);
+}
@@ -2,8 +2,11 @@ import { defineConfig } from "vite";
 import cesium from "vite-plugin-cesium";
 import fs from "fs";
 import path from "path";
+import crypto from "crypto";
 import Anthropic from "@anthropic-ai/sdk";
 import pg from "pg";
+import { WebSocketServer, WebSocket } from "ws";
+import { waypointName } from "./src/waypointNames.js";
 
 const pool = new pg.Pool({ database: "ilovemaps", host: "/var/run/postgresql" });
 
@@ -53,11 +56,274 @@ function settingsPlugin() {
   };
 }
 
+// --- Saved routes (data/waypoints.json) ---
+//
+// Each route is { id, name, color, description, ownerUnitId, createdAt,
+// timetable?, waypoints: [{ lat, lon, alt, name? }] }. Files in the old
+// format (an array of waypoint arrays named A1, A2...) are migrated on first
+// read.
+
+const ROUTES_PATH = path.resolve("data/waypoints.json");
+const ROUTE_COLORS = ["#FFFFFF", "#FFD700", "#00E5FF", "#FF80AB", "#B2FF59", "#FFAB40", "#EA80FC", "#80D8FF"];
+
+function newRouteId() {
+  return crypto.randomUUID();
+}
+
+function migrateRoute(route, index, createdAt) {
+  if (!Array.isArray(route)) return route;
+  // Old format: route name is the letter prefix of its waypoint names
+  const name = route[0]?.name?.replace(/\d+$/, "") || String.fromCharCode(65 + index);
+  return {
+    id: newRouteId(),
+    name,
+    color: "#FFFFFF",
+    description: "",
+    ownerUnitId: null,
+    createdAt,
+    waypoints: route.map((wp, i) => {
+      const { name: wpName, lat, lon, alt } = wp;
+      // Generated names (A1, A2...) are derived from the route name again when shown
+      return wpName === `${name}${i + 1}` ? { lat, lon, alt } : { name: wpName, lat, lon, alt };
+    }),
+  };
+}
+
+function readRoutes() {
+  if (!fs.existsSync(ROUTES_PATH)) return [];
+  const raw = JSON.parse(fs.readFileSync(ROUTES_PATH, "utf-8"));
+  if (!raw.some(Array.isArray)) return raw;
+  const createdAt = fs.statSync(ROUTES_PATH).mtime.toISOString();
+  const routes = raw.map((r, i) => migrateRoute(r, i, createdAt));
+  writeJsonAtomic(ROUTES_PATH, routes);
+  console.log(`Migrated ${ROUTES_PATH} to named routes`);
+  return routes;
+}
+
+function isValidRoute(route) {
+  return route && typeof route.name === "string" && route.name.trim() !== ""
+    && Array.isArray(route.waypoints) && route.waypoints.length > 0
+    && route.waypoints.every(wp => (wp.name === undefined || typeof wp.name === "string") && isValidPosition(wp));
+}
+
+// Movement timetable settings: { start (ISO time), profile, haltEvery, haltMinutes }
+function isValidTimetable(t) {
+  return t && typeof t.start === "string" && !Number.isNaN(Date.parse(t.start))
+    && typeof t.profile === "string"
+    && Number.isFinite(t.haltEvery) && t.haltEvery >= 0
+    && Number.isFinite(t.haltMinutes) && t.haltMinutes >= 0;
+}
+
+// Keep only the known route fields
+function cleanRoute(route, defaults) {
+  return {
+    id: route.id ?? defaults.id,
+    name: route.name.trim(),
+    color: typeof route.color === "string" ? route.color : defaults.color,
+    description: typeof route.description === "string" ? route.description : "",
+    ownerUnitId: typeof route.ownerUnitId === "string" && route.ownerUnitId ? route.ownerUnitId : null,
+    createdAt: route.createdAt ?? defaults.createdAt,
+    ...(isValidTimetable(route.timetable) ? {
+      timetable: {
+        start: route.timetable.start,
+        profile: route.timetable.profile,
+        haltEvery: route.timetable.haltEvery,
+        haltMinutes: route.timetable.haltMinutes,
+      },
+    } : {}),
+    waypoints: route.waypoints.map(({ name, lat, lon, alt }) => (name ? { name, lat, lon, alt } : { lat, lon, alt })),
+  };
+}
+
+// POST handler with a parsed JSON body; `handle` returns the response object
+function jsonPost(handle) {
+  return (req, res) => {
+    if (req.method !== "POST") {
+      res.statusCode = 405;
+      res.end("Method not allowed");
+      return;
+    }
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      try {
+        const result = handle(JSON.parse(body));
+        res.setHeader("Content-Type", "application/json");
+        res.end(JSON.stringify({ ok: true, ...result }));
+      } catch (e) {
+        res.statusCode = e.statusCode ?? 400;
+        res.end(JSON.stringify({ error: e.message }));
+      }
+    });
+  };
+}
+
+function routeIndex(routes, id) {
+  const index = routes.findIndex(r => r.id === id);
+  if (index < 0) throw new Error(`Unknown route id: ${id}`);
+  return index;
+}
+
 function saveRoutePlugin() {
   return {
     name: "save-route",
     configureServer(server) {
-      server.middlewares.use("/api/save-route", (req, res) => {
+      readRoutes(); // migrate an old-format file up front
+
+      // New route: the server assigns id, creation time and (unless given) colour
+      server.middlewares.use("/api/save-route", jsonPost((body) => {
+        if (!isValidRoute(body)) throw new Error("Expected { name, waypoints: [{ lat, lon, alt }] }");
+        const routes = readRoutes();
+        const route = cleanRoute({ ...body, id: undefined, createdAt: undefined }, {
+          id: newRouteId(),
+          color: ROUTE_COLORS[routes.length % ROUTE_COLORS.length],
+          createdAt: new Date().toISOString(),
+        });
+        routes.push(route);
+        writeJsonAtomic(ROUTES_PATH, routes);
+        return { route };
+      }));
+
+      // Replace a route by id, or with `index` re-insert a deleted one there (undo of a delete)
+      server.middlewares.use("/api/update-route", jsonPost(({ route, index }) => {
+        if (!isValidRoute(route) || typeof route.id !== "string") throw new Error("Expected { route: { id, name, waypoints } }");
+        const routes = readRoutes();
+        const existing = routes.findIndex(r => r.id === route.id);
+        if (existing >= 0) {
+          routes[existing] = cleanRoute(route, routes[existing]);
+        } else if (Number.isInteger(index)) {
+          routes.splice(Math.max(0, Math.min(index, routes.length)), 0, cleanRoute(route, { color: "#FFFFFF", createdAt: new Date().toISOString() }));
+        } else {
+          throw new Error(`Unknown route id: ${route.id}`);
+        }
+        writeJsonAtomic(ROUTES_PATH, routes);
+        return {};
+      }));
+
+      server.middlewares.use("/api/delete-route", jsonPost(({ id }) => {
+        const routes = readRoutes();
+        const index = routeIndex(routes, id);
+        const [route] = routes.splice(index, 1);
+        writeJsonAtomic(ROUTES_PATH, routes);
+        return { route, index };
+      }));
+
+      // Undo of a save: remove the route, only if it is still the one that was saved
+      server.middlewares.use("/api/revert-route", jsonPost(({ route }) => {
+        const routes = readRoutes();
+        const index = routeIndex(routes, route?.id);
+        if (JSON.stringify(routes[index]) !== JSON.stringify(route)) {
+          const error = new Error("Route has changed since it was saved");
+          error.statusCode = 409;
+          throw error;
+        }
+        routes.splice(index, 1);
+        writeJsonAtomic(ROUTES_PATH, routes);
+        return {};
+      }));
+    },
+  };
+}
+
+// --- Planner cost areas (data/areas.json) and observers (data/observers.json) ---
+//
+// Each area is { id, name, kind: "nogo" | "avoid" | "prefer", weight, points: [{ lat, lon }] };
+// weight (>= 1) is null for impassable areas. An observer is a unit { id, name, uid }
+// or an OP { id, name, lat, lon, alt }.
+
+const AREAS_PATH = path.resolve("data/areas.json");
+const OBSERVERS_PATH = path.resolve("data/observers.json");
+const AREA_KINDS = ["nogo", "avoid", "prefer"];
+
+function isValidArea(a) {
+  return a && typeof a.id === "string" && typeof a.name === "string"
+    && AREA_KINDS.includes(a.kind)
+    && (a.kind === "nogo" || (Number.isFinite(a.weight) && a.weight >= 1))
+    && Array.isArray(a.points) && a.points.length >= 3
+    && a.points.every(p => isValidPosition({ ...p, alt: 0 }));
+}
+
+function isValidObserver(o) {
+  return o && typeof o.id === "string" && typeof o.name === "string"
+    && (typeof o.uid === "string" || isValidPosition(o));
+}
+
+function areasPlugin() {
+  return {
+    name: "areas",
+    configureServer(server) {
+      // The client sends the whole list after every change (and undo)
+      server.middlewares.use("/api/save-areas", jsonPost(({ areas }) => {
+        if (!Array.isArray(areas) || !areas.every(isValidArea)) {
+          throw new Error("Expected { areas: [{ id, name, kind, weight, points: [{ lat, lon }] }] }");
+        }
+        writeJsonAtomic(AREAS_PATH, areas.map(({ id, name, kind, weight, points }) => ({
+          id,
+          name,
+          kind,
+          weight: kind === "nogo" ? null : weight,
+          points: points.map(({ lat, lon }) => ({ lat, lon })),
+        })));
+        return {};
+      }));
+
+      server.middlewares.use("/api/save-observers", jsonPost(({ observers }) => {
+        if (!Array.isArray(observers) || !observers.every(isValidObserver)) {
+          throw new Error("Expected { observers: [{ id, name, uid } or { id, name, lat, lon, alt }] }");
+        }
+        writeJsonAtomic(OBSERVERS_PATH, observers.map(({ id, name, uid, lat, lon, alt }) =>
+          (typeof uid === "string" ? { id, name, uid } : { id, name, lat, lon, alt })));
+        return {};
+      }));
+    },
+  };
+}
+
+function writeJsonAtomic(filePath, data) {
+  // Write to a sibling temp file and rename, so readers never see a half-written file
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2) + "\n");
+  fs.renameSync(tmpPath, filePath);
+}
+
+function findUnitById(node, id) {
+  if (node.id === id) return node;
+  for (const s of [node.commander, ...(node.staff ?? [])]) {
+    if (s && s.id === id) return s;
+  }
+  for (const child of node.children ?? []) {
+    const found = findUnitById(child, id);
+    if (found) return found;
+  }
+  return null;
+}
+
+function isValidPosition(p) {
+  return p && Number.isFinite(p.lat) && Number.isFinite(p.lon) && Number.isFinite(p.alt)
+    && Math.abs(p.lat) <= 90 && Math.abs(p.lon) <= 180;
+}
+
+// Forces listed in data/forces.json (one ORBAT file each), or the single default file
+function loadForces() {
+  const listPath = path.resolve("data/forces.json");
+  if (!fs.existsSync(listPath)) {
+    return [{ id: "blue", name: "Blue", file: "/data/military-units.json", affiliation: "friend" }];
+  }
+  return JSON.parse(fs.readFileSync(listPath, "utf-8"));
+}
+
+function forceFilePath(force) {
+  // Force files are served from /data; never resolve outside it
+  const filePath = path.resolve(force.file.replace(/^\//, ""));
+  if (!filePath.startsWith(path.resolve("data") + path.sep)) throw new Error(`Bad force file: ${force.file}`);
+  return filePath;
+}
+
+function moveUnitsPlugin() {
+  return {
+    name: "move-units",
+    configureServer(server) {
+      server.middlewares.use("/api/move-units", (req, res) => {
         if (req.method !== "POST") {
           res.statusCode = 405;
           res.end("Method not allowed");
@@ -67,15 +333,27 @@ function saveRoutePlugin() {
         req.on("data", (chunk) => (body += chunk));
         req.on("end", () => {
           try {
-            const newRoute = JSON.parse(body);
-            const filePath = path.resolve("data/waypoints.json");
-            const routes = JSON.parse(fs.readFileSync(filePath, "utf-8"));
-            routes.push(newRoute);
-            fs.writeFileSync(filePath, JSON.stringify(routes, null, 2) + "\n");
+            const { force: forceId, moves } = JSON.parse(body);
+            if (!Array.isArray(moves)) throw new Error("Expected { force, moves: [{ id, position }] }");
+            const force = loadForces().find(f => f.id === forceId);
+            if (!force) throw new Error(`Unknown force: ${forceId}`);
+            const filePath = forceFilePath(force);
+            const tree = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+            // Validate every move before touching the file
+            const targets = moves.map(({ id, position }) => {
+              const unit = findUnitById(tree, id);
+              if (!unit) throw new Error(`Unknown unit id: ${id}`);
+              if (!isValidPosition(position)) throw new Error(`Invalid position for ${id}`);
+              return { unit, position };
+            });
+            for (const { unit, position } of targets) {
+              unit.position = { lat: position.lat, lon: position.lon, alt: position.alt };
+            }
+            writeJsonAtomic(filePath, tree);
             res.setHeader("Content-Type", "application/json");
             res.end(JSON.stringify({ ok: true }));
           } catch (e) {
-            res.statusCode = 500;
+            res.statusCode = 400;
             res.end(JSON.stringify({ error: e.message }));
           }
         });
@@ -84,6 +362,100 @@ function saveRoutePlugin() {
   };
 }
 
+function findParentOf(node, id) {
+  for (const child of node.children ?? []) {
+    if (child.id === id) return node;
+    const found = findParentOf(child, id);
+    if (found) return found;
+  }
+  return null;
+}
+
+function reparentUnitPlugin() {
+  return {
+    name: "reparent-unit",
+    configureServer(server) {
+      server.middlewares.use("/api/reparent-unit", (req, res) => {
+        if (req.method !== "POST") {
+          res.statusCode = 405;
+          res.end("Method not allowed");
+          return;
+        }
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+          try {
+            const { force: forceId, id, parent: parentId, index } = JSON.parse(body);
+            const force = loadForces().find(f => f.id === forceId);
+            if (!force) throw new Error(`Unknown force: ${forceId}`);
+            const filePath = forceFilePath(force);
+            const tree = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+            const oldParent = findParentOf(tree, id);
+            if (!oldParent) throw new Error(`Unknown unit id (or ORBAT root): ${id}`);
+            const unit = oldParent.children.find(c => c.id === id);
+            const newParent = findUnitById(tree, parentId);
+            if (!newParent || !Array.isArray(newParent.children)) throw new Error(`Unknown parent unit id: ${parentId}`);
+            if (findUnitById(unit, parentId)) throw new Error(`${parentId} is part of ${id}`);
+            oldParent.children.splice(oldParent.children.indexOf(unit), 1);
+            const at = Number.isInteger(index) ? Math.max(0, Math.min(index, newParent.children.length)) : newParent.children.length;
+            newParent.children.splice(at, 0, unit);
+            writeJsonAtomic(filePath, tree);
+            res.setHeader("Content-Type", "application/json");
+            res.end(JSON.stringify({ ok: true }));
+          } catch (e) {
+            res.statusCode = 400;
+            res.end(JSON.stringify({ error: e.message }));
+          }
+        });
+      });
+    },
+  };
+}
+
+function isValidReport(r) {
+  return r && typeof r.id === "string" && (r.force === undefined || typeof r.force === "string")
+    && Number.isFinite(r.lat) && Number.isFinite(r.lon) && Math.abs(r.lat) <= 90 && Math.abs(r.lon) <= 180
+    && (r.alt === undefined || Number.isFinite(r.alt));
+}
+
+// WebSocket relay for live position reports: every valid report a client sends
+// (radio gateway, scripts/unit-feed-sim.mjs) is broadcast to all clients.
+function unitFeedPlugin() {
+  return {
+    name: "unit-feed",
+    configureServer(server) {
+      const wss = new WebSocketServer({ noServer: true });
+      const lastReports = new Map(); // "force:id" -> latest report
+
+      server.httpServer?.on("upgrade", (req, socket, head) => {
+        if (req.url !== "/api/unit-feed") return; // leave Vite's HMR socket alone
+        wss.handleUpgrade(req, socket, head, (ws) => wss.emit("connection", ws, req));
+      });
+
+      wss.on("connection", (ws) => {
+        // Bring new clients up to date with the latest report per unit
+        if (lastReports.size > 0) ws.send(JSON.stringify([...lastReports.values()]));
+        ws.on("message", (data) => {
+          let reports;
+          try {
+            reports = [].concat(JSON.parse(data));
+          } catch (e) {
+            return;
+          }
+          const valid = reports.filter(isValidReport);
+          if (valid.length === 0) return;
+          // Cached reports keep when they arrived, so a replay on connect shows their age
+          for (const r of valid) lastReports.set(`${r.force ?? ""}:${r.id}`, { time: new Date().toISOString(), ...r });
+          const msg = JSON.stringify(valid);
+          for (const client of wss.clients) {
+            if (client.readyState === WebSocket.OPEN) client.send(msg);
+          }
+        });
+      });
+    },
+  };
+}
+
 const MAP_TOOLS = [
   {
     name: "move_camera",
@@ -100,7 +472,7 @@ const MAP_TOOLS = [
   },
   {
     name: "get_entities",
-    description: "Get all military units and saved routes currently on the map.",
+    description: "Get all military units (of every force) and saved routes currently on the map.",
     input_schema: { type: "object", properties: {}, required: [] },
   },
   {
@@ -110,10 +482,16 @@ const MAP_TOOLS = [
   },
 ];
 
-function flattenUnits(node) {
-  const { name, type, position } = node;
-  const result = [{ name, type, lat: position.lat, lon: position.lon }];
-  for (const child of node.children ?? []) result.push(...flattenUnits(child));
+function flattenUnits(node, inheritedAffiliation = "friend") {
+  const { name, type } = node;
+  // A tracked unit may omit its static position: use its first report
+  const position = node.position ?? node.track[0];
+  const affiliation = node.affiliation ?? inheritedAffiliation;
+  const result = [{
+    name, type, affiliation, function: node.function ?? null, lat: position.lat, lon: position.lon,
+    strength: node.strength ?? null, readiness: node.readiness ?? null, equipment: node.equipment ?? null,
+  }];
+  for (const child of node.children ?? []) result.push(...flattenUnits(child, affiliation));
   return result;
 }
 
@@ -135,15 +513,21 @@ async function resolveToolResult(name, camera) {
     return JSON.stringify(result);
   }
   if (name !== "get_entities") return "ok";
-  const units = flattenUnits(JSON.parse(fs.readFileSync(path.resolve("data/military-units.json"), "utf-8")));
-  const rawRoutes = JSON.parse(fs.readFileSync(path.resolve("data/waypoints.json"), "utf-8"));
-  const routes = rawRoutes.map((wps) => {
-    const letter = wps[0].name[0];
+  const units = loadForces().flatMap((force) =>
+    flattenUnits(JSON.parse(fs.readFileSync(forceFilePath(force), "utf-8")), force.affiliation ?? "friend")
+      .map(u => ({ force: force.name ?? force.id, ...u }))
+  );
+  const routes = readRoutes().map((route) => {
+    const wps = route.waypoints;
     const center = {
       lat: wps.reduce((s, w) => s + w.lat, 0) / wps.length,
       lon: wps.reduce((s, w) => s + w.lon, 0) / wps.length,
     };
-    return { letter, center, waypoints: wps.map(({ name, lat, lon }) => ({ name, lat, lon })) };
+    const { id, name, color, description, ownerUnitId, createdAt } = route;
+    return {
+      id, name, color, description, ownerUnitId, createdAt, center,
+      waypoints: wps.map((w, i) => ({ name: waypointName(route, i), lat: w.lat, lon: w.lon })),
+    };
   });
   return JSON.stringify({ units, routes });
 }
@@ -203,5 +587,5 @@ function claudePlugin() {
 }
 
 export default defineConfig({
-  plugins: [cesium(), settingsPlugin(), saveRoutePlugin(), claudePlugin()],
+  plugins: [cesium(), settingsPlugin(), saveRoutePlugin(), areasPlugin(), moveUnitsPlugin(), reparentUnitPlugin(), unitFeedPlugin(), claudePlugin()],
 });